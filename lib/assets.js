@@ -0,0 +1,80 @@
+(function (global, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["exports", "./gsub.js", "path"], factory);
+    } else if (typeof exports !== "undefined") {
+        factory(exports, require("./gsub.js"), require("path"));
+    } else {
+        var mod = {
+            exports: {}
+        };
+        factory(mod.exports, global.gsub, global.path);
+        global.assets = mod.exports;
+    }
+})(this, function (exports, gsub, path) {
+    "use strict";
+
+    Object.defineProperty(exports, "__esModule", {
+        value: true
+    });
+    exports.getType = getType;
+
+
+    /**
+     * Bundler plugins use it to skip other assets (images, fonts) before reading their code and source maps.
+     * @param {String} name
+     * @return {String|undefined} a type of a bundler's asset: "css", "js" or "html".
+     */
+    function getType(name) {
+        var ext = path.extname(name.split("?")[0]);
+
+        if (ext == ".css") return "css";
+
+        if (/^\.[cm]?js$/.test(ext)) return "js";
+
+        if (/^\.html?$/.test(ext)) return "html";
+    }
+
+    /**
+     * Replaces classes in assets of a bundler (webpack, Rollup, Vite) using one map of replacements. It's shared by
+     * bundler plugins, which take assets from a compilation/bundle and put the resulting code back.
+     * @param {Object} config Replacer's config. #preserveFormatting is enabled by default, so the code of JS chunks
+     *                        keeps its formatting, #sourceMaps is enabled when some asset has a source map.
+     * @param {Object[]} assets Like {name: "main.css", code: "...", map: {...}}, assets which are not CSS, JS or HTML are
+     *                          ignored.
+     * @return {Object|null} {assets: [{name, code, map}], replacements, warnings} or null when there is no CSS, #map is
+     *                       chained with the asset's source map and given only when the asset has one.
+     */
+
+    exports.default = (config, assets) => {
+        var files = { css: [], js: [], html: [] },
+            maps = {},
+            result;
+
+        assets.forEach(asset => {
+            var type = getType(asset.name);
+
+            if (!type) return;
+
+            files[type].push({ path: asset.name, code: asset.code, map: asset.map || undefined });
+
+            if (asset.map) maps[asset.name] = true;
+        });
+
+        if (!files.css.length) return null;
+
+        result = gsub.default(Object.assign({
+            preserveFormatting: true,
+            sourceMaps: Object.keys(maps).length > 0
+        }, config, files));
+
+        return {
+            assets: result.css.concat(result.js, result.html).map(file => ({
+                name: file.path,
+                code: file.code,
+                map: maps[file.path] && file.map || null
+            })),
+            replacements: result.replacements,
+            warnings: result.warnings
+        };
+    };
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+(function (global, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["exports", "astring"], factory);
+    } else if (typeof exports !== "undefined") {
+        factory(exports, require("astring"));
+    } else {
+        var mod = {
+            exports: {}
+        };
+        factory(mod.exports, global.astring);
+        global.generator = mod.exports;
+    }
+})(this, function (exports, astring) {
+    "use strict";
+
+    Object.defineProperty(exports, "__esModule", {
+        value: true
+    });
+
+
+    /**
+     * @param {String} value
+     * @return {String} a single-quoted JS string literal.
+     */
+    function quote(value) {
+        return "'" + JSON.stringify(value).slice(1, -1).replace(/\\"/g, "\"").replace(/'/g, "\\'") + "'";
+    }
+
+    /**
+     * astring generator extended with JSX nodes.
+     * String literals are always generated from their values, so replacements made in #value are not lost because of
+     * the original #raw. JSX strings and texts keep #raw, as they can't contain escape sequences.
+     */
+    exports.default = Object.assign({}, astring.GENERATOR, {
+        Literal(node, state) {
+            if (typeof node.value == "string") return state.write(quote(node.value), node);
+
+            astring.GENERATOR.Literal.call(this, node, state);
+        },
+
+        JSXElement(node, state) {
+            this.JSXOpeningElement(node.openingElement, state);
+
+            if (node.closingElement) {
+                this.JSXChildren(node.children, state);
+                this.JSXClosingElement(node.closingElement, state);
+            }
+        },
+
+        JSXFragment(node, state) {
+            state.write("<>");
+            this.JSXChildren(node.children, state);
+            state.write("</>");
+        },
+
+        JSXChildren(children, state) {
+            children.forEach(child => this[child.type](child, state));
+        },
+
+        JSXOpeningElement(node, state) {
+            state.write("<", node);
+            this[node.name.type](node.name, state);
+
+            node.attributes.forEach(attribute => {
+                state.write(" ");
+                this[attribute.type](attribute, state);
+            });
+
+            state.write(node.selfClosing ? " />" : ">");
+        },
+
+        JSXClosingElement(node, state) {
+            state.write("</", node);
+            this[node.name.type](node.name, state);
+            state.write(">");
+        },
+
+        JSXAttribute(node, state) {
+            this[node.name.type](node.name, state);
+
+            if (!node.value) return;
+
+            state.write("=");
+
+            if (node.value.type == "Literal") state.write(node.value.raw, node.value);else this[node.value.type](node.value, state);
+        },
+
+        JSXSpreadAttribute(node, state) {
+            state.write("{...", node);
+            this[node.argument.type](node.argument, state);
+            state.write("}");
+        },
+
+        JSXExpressionContainer(node, state) {
+            state.write("{", node);
+            this[node.expression.type](node.expression, state);
+            state.write("}");
+        },
+
+        JSXSpreadChild(node, state) {
+            state.write("{...", node);
+            this[node.expression.type](node.expression, state);
+            state.write("}");
+        },
+
+        JSXEmptyExpression() {},
+
+        JSXText(node, state) {
+            // line breaks are written separately to keep lines of a source map in sync.
+            node.raw.split("\n").forEach((line, i) => {
+                if (i) state.write("\n");
+
+                state.write(line, i ? null : node);
+            });
+        },
+
+        JSXIdentifier(node, state) {
+            state.write(node.name, node);
+        },
+
+        JSXMemberExpression(node, state) {
+            this[node.object.type](node.object, state);
+            state.write(".");
+            this[node.property.type](node.property, state);
+        },
+
+        JSXNamespacedName(node, state) {
+            this[node.namespace.type](node.namespace, state);
+            state.write(":");
+            this[node.name.type](node.name, state);
+        }
+    });
+});
\ No newline at end of file
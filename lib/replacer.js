@@ -1,27 +1,91 @@
 (function (global, factory) {
     if (typeof define === "function" && define.amd) {
-        define(["exports", "esprima", "css", "estraverse", "escodegen", "fs"], factory);
+        define(["exports", "acorn", "acorn-jsx", "css", "parse5", "estraverse", "astring", "./generator.js", "source-map", "postcss-selector-parser", "glob", "path", "crypto", "fs"], factory);
     } else if (typeof exports !== "undefined") {
-        factory(exports, require("esprima"), require("css"), require("estraverse"), require("escodegen"), require("fs"));
+        factory(exports, require("acorn"), require("acorn-jsx"), require("css"), require("parse5"), require("estraverse"), require("astring"), require("./generator.js"), require("source-map"), require("postcss-selector-parser"), require("glob"), require("path"), require("crypto"), require("fs"));
     } else {
         var mod = {
             exports: {}
         };
-        factory(mod.exports, global.esprima, global.css, global.estraverse, global.escodegen, global.fs);
+        factory(mod.exports, global.acorn, global.acornJsx, global.css, global.parse5, global.estraverse, global.astring, global.generator, global.sourceMap, global.postcssSelectorParser, global.glob, global.path, global.crypto, global.fs);
         global.replacer = mod.exports;
     }
-})(this, function (exports, esprima, css, estraverse, escodegen, fs) {
+})(this, function (exports, acorn, jsx, css, parse5, estraverse, astring, generator, sourcemap, selectorParser, glob, path, crypto, fs) {
     "use strict";
 
     Object.defineProperty(exports, "__esModule", {
         value: true
     });
+
+
+    /**
+     * kinds of names which could be renamed besides CSS classes, mapped to config options which enable them.
+     */
+    const KINDS = {
+        ids: "renameIds",
+        customProperties: "renameCustomProperties",
+        keyframes: "renameKeyframes",
+        gridAreas: "renameGridAreas"
+    };
+
+    /**
+     * CSS properties which hold grid area names.
+     */
+    const GRID_PROPERTIES = ["grid-template", "grid-template-areas", "grid-area", "grid-row", "grid-row-start", "grid-row-end", "grid-column", "grid-column-start", "grid-column-end"];
+
+    /**
+     * JS properties (and CSS properties in camel case) which hold names of a certain kind.
+     */
+    const CONTEXTS = {
+        id: "ids",
+        getElementById: "ids",
+        animation: "keyframes",
+        animationName: "keyframes",
+        gridArea: "gridAreas",
+        gridTemplate: "gridAreas",
+        gridTemplateAreas: "gridAreas",
+        gridRow: "gridAreas",
+        gridRowStart: "gridAreas",
+        gridRowEnd: "gridAreas",
+        gridColumn: "gridAreas",
+        gridColumnStart: "gridAreas",
+        gridColumnEnd: "gridAreas"
+    };
+
+    /**
+     * class names which are hidden by adblockers' cosmetic filters, generated names never match them.
+     */
+    const ADBLOCK_NAMES = [/^ads?(\d+|[-_].*)?$/i, "adv", "advert", "adverts", "advertisement", "advertising", "adbox", "adsbox", "adbanner", "adblock", "adslot", "adunit", "adsense", "adtext", "textad", "banner", "banners", "sponsor", "sponsored", "promo", "promoted", "popup", "pub", "affiliate", "commercial", "doubleclick", "outbrain", "taboola"];
+
+    /**
+     * functions and methods which receive CSS classes or selectors, they are used by #precise mode.
+     */
+    const CLASS_CALLS = ["querySelector", "querySelectorAll", "getElementsByClassName", "closest", "matches", "$", "jQuery", "addClass", "removeClass", "toggleClass", "hasClass"];
+
+    /**
+     * functions and methods which receive a CSS selector as the first argument.
+     */
+    const SELECTOR_CALLS = ["querySelector", "querySelectorAll", "closest", "matches", "$", "jQuery"];
+
+    /**
+     * "class" attributes in HTML code held by JS strings, e.g. '<div class="d-profile">' or "<div class=\"d-profile\">".
+     */
+    const HTML_CLASS_ATTRIBUTE = /(\bclass\s*=\s*)(\\?["'])([^"'\\]*)\2/g;
+
+    /**
+     * "type" attributes of inline <script> blocks which contain JS.
+     */
+    const SCRIPT_TYPES = /^(module|(text|application)\/(javascript|ecmascript))$/i;
+
     class Replacer {
 
         /**
          * @param {Object} config
          * @param {String} config.prefix Used when CSS classes look like "{prefix}profile" "d-profile"
-         * @param {RegExp} config.regexp Used when CSS classes use non-prefix declaration format.
+         * @param {RegExp|Function|Array} config.match Used when CSS classes use non-prefix declaration format: a regexp,
+         * a function(className) which returns true for classes to rename, or a list of strings, regexps and globs like
+         * "d-*". The same predicate is applied to class names in CSS selectors and to words in JS strings.
+         * @param {RegExp} config.regexp Deprecated, an alias of #match.
          * @param {Function} config.replace
          * Function that will be called for each node from JS-AST. It's used when regexp is not enough and you need to
          * replace CSS classes based on some specific rules.
@@ -39,7 +103,88 @@
          * '-inner' string to avoid bugs. So it could look like this:
          * "d-my-component" -> "a0"
          * "d-my-component-inner" -> "a0-inner"
+         * The same could be achieved with #bem: {suffixes: ["-inner"]}.
          *
+         * @param {String|String[]} config.jsIn A path, a glob or a list of paths/globs of JS files. All files share
+         *                                      one map of replacements.
+         * @param {String|Function} config.jsOut A path of the resulting JS file when #jsIn is a single path, otherwise a
+         *                                       directory where every file is written relative to the base of its glob.
+         *                                       Could also be a function which receives a path of the source JS file
+         *                                       and returns a path of the resulting one.
+         * @param {String|String[]} config.cssIn A path, a glob or a list of paths/globs of CSS files. All files share
+         *                                       one map of replacements.
+         * @param {Object[]} config.cssFiles Already loaded CSS files like: {path: "dist/css/main.css", text: "..."}
+         *                                   They are used instead of reading #cssIn. An optional #sourceMap is an input
+         *                                   source map of a file.
+         * @param {Object[]} config.jsFiles Already loaded JS files like: {path: "dist/js/app.js", base: "dist/js", text: "..."}
+         *                                  They are used instead of reading #jsIn. An optional #sourceMap is an input
+         *                                  source map of a file.
+         * @param {String|String[]} config.htmlIn A path, a glob or a list of paths/globs of HTML files. Classes are
+         *                                        replaced in "class" attributes (IDs in "id" and "for" attributes when
+         *                                        #renameIds is enabled), inline <style> and <script> blocks.
+         * @param {String|Function} config.htmlOut Works the same way as #jsOut.
+         * @param {Object[]} config.htmlFiles Already loaded HTML files, they are used instead of reading #htmlIn.
+         * @param {Object} config.parserOptions Options of acorn parser, by default it parses the latest ECMAScript as
+         *                                      a module, or as a script when a file can't be parsed as a module and
+         *                                      #sourceType is not given. Use "jsx: true" (or acorn-jsx options) to
+         *                                      enable JSX.
+         * @param {Boolean} config.preserveFormatting Should be true to edit only changed strings in the original JS code
+         *                                           instead of generating it from AST, so formatting and comments are
+         *                                           kept. Changes made by #replace are taken from #raw of string
+         *                                           literals and JSX, or #value.raw of template elements.
+         * @param {Boolean} config.sourceMaps Should be true to generate source maps for resulting CSS and JS code. When
+         *                                   a file has #sourceMap (an input source map), the resulting map is chained
+         *                                   with it.
+         * @param {String|Object} config.replacementsInput A path to (or a content of) a map written by #replacementsOutput
+         *                                               during a previous build. Known classes keep their names and
+         *                                               only new classes get new names.
+         * @param {String|Function} config.naming A strategy to generate new class names:
+         * "sequential" - short names like "_", "a", "b" ... "a0" in order of appearance (default);
+         * "hash" - a hash of the original class name, so separate builds agree on names without sharing a map;
+         * function(original, index) - returns a name for the original class name, #index is a number of generated names.
+         * Generated names which are invalid or already taken are rejected and generated again.
+         * @param {Number} config.hashLength A length of names generated by "hash" strategy.
+         * @param {String} config.hashAlphabet Characters of names generated by "hash" strategy.
+         * @param {Boolean} config.optimize Should be true to give the shortest names to the most frequent classes instead
+         *                                 of the order of appearance. Byte savings are reported in #stats.
+         * @param {Boolean} config.renameIds Should be true to rename IDs: "#d-profile" selectors, getElementById("..."),
+         *                                  "id" properties/attributes and "#d-profile" in JS strings.
+         * @param {Boolean} config.renameCustomProperties Should be true to rename CSS custom properties: "--d-color"
+         *                                               declarations, var(--d-color) and "--d-color" in JS strings.
+         * @param {Boolean} config.renameKeyframes Should be true to rename @keyframes, "animation" and "animation-name"
+         *                                        values in CSS, "animation" and "animationName" values in JS.
+         * @param {Boolean} config.renameGridAreas Should be true to rename grid area names used by "grid-template-areas",
+         *                                        "grid-area", "grid-row", "grid-column" and others in CSS and JS.
+         * Only names starting with #prefix are renamed, when it's given. Every kind gets its own section in
+         * #replacementsOutput, e.g. "ids": {"d-profile": "a"}.
+         * @param {Boolean} config.precise Should be true to rename classes only where JS code deals with classes:
+         * arguments of classList.add/remove/toggle/contains/replace, querySelector(All), getElementsByClassName, closest,
+         * matches, $/jQuery, addClass/removeClass/toggleClass/hasClass and #classCalls, "className" assignments and
+         * properties, setAttribute("class", ...), JSX "className" attributes, and "class" attributes in HTML strings.
+         * Otherwise every string is matched, so words like "left" in unrelated strings could be renamed too.
+         * @param {String[]} config.classCalls Additional functions/methods for #precise mode, e.g. ["classNames", "Ext.get"].
+         * @param {Boolean|Object} config.bem Should be true to keep BEM structure of class names: a block is renamed
+         * once and every element/modifier separately, so "d-card" -> "a", "d-card__title" -> "a__b" and JS code like
+         * baseCls + "__title" keeps working ("__title" -> "__b"). Could be an object to configure:
+         * separators - ["__", "--"] by default;
+         * suffixes - fixed suffixes which are kept as is, e.g. ["-inner"] for "d-card-inner" -> "a-inner".
+         * @param {Boolean} config.prune Should be false to keep CSS rules with classes which are not found in JS, such
+         *                              classes keep their names. Otherwise these rules are removed along with at-rules
+         *                              that become empty, removed bytes are reported in #stats.prunedBytes.
+         * @param {Array} config.safelist Classes which are never pruned: strings, regexps or globs like "d-icon-*".
+         * @param {String|RegExp|Array} config.reserved Names which are never generated, e.g. classes of third-party
+         *                                              widgets loaded at runtime: strings, regexps and paths to CSS
+         *                                              files (ending with ".css") whose classes are reserved. CSS
+         *                                              files could also be given like {path, text}.
+         * @param {Boolean} config.reserveAdblockNames Should be false to allow generated names which are hidden by
+         *                                            adblockers, like "ad" or "banner".
+         * @param {String} config.reportOutput A path to write #warnings as JSON to, see #writeReport.
+         * @param {String} config.cacheDir A directory for incremental builds, e.g. under gulp-watch. It keeps parsed ASTs
+         *                                 and resulting JS code keyed by a hash of the content, the config and CSS
+         *                                 classes, along with the last map of replacements, which is used as
+         *                                 #replacementsInput to keep names stable. Unchanged JS files are not
+         *                                 processed again (unless #sourceMaps, #optimize or #replace are used), the
+         *                                 number of such files is reported in #stats.cacheHits.
          * @param {Boolean} replaceAll Should be true to rename all CSS classes including those classes that couldn't be
          *                             found in js-file (probably unused).
          */
@@ -47,17 +192,72 @@
             this.counter = 0;
             this.config = Object.assign({
                 regexp: null,
+                match: null,
                 prefix: null,
                 replacementsOutput: null,
+                replacementsInput: null,
                 replace: this.emptyFn,
-                replaceAll: false
+                replaceAll: false,
+                preserveFormatting: false,
+                sourceMaps: false,
+                naming: "sequential",
+                optimize: false,
+                reportOutput: null,
+                cacheDir: null,
+                bem: false,
+                prune: true,
+                reserved: [],
+                reserveAdblockNames: true,
+                safelist: [],
+                precise: false,
+                classCalls: [],
+                renameIds: false,
+                renameCustomProperties: false,
+                renameKeyframes: false,
+                renameGridAreas: false,
+                hashLength: 5,
+                hashAlphabet: "abcdefghijklmnopqrstuvwxyz0123456789"
             }, config);
 
+            this.config.parserOptions = Object.assign({
+                ecmaVersion: "latest",
+                allowHashBang: true,
+                jsx: false
+            }, this.config.parserOptions);
+
             this.key = "_";
+            this.index = 0;
+            this.names = {};
+            this.stats = {};
+            // [{type, message, file, line}] about code which can't be renamed safely, see #warn.
+            this.warnings = [];
             this.replacements = {
                 count: 0,
                 items: {}
             };
+
+            // names of BEM elements and modifiers, e.g. {title: "b"}
+            if (this.config.bem) this.replacements.parts = {};
+
+            // names of other kinds found in CSS, e.g. {ids: ["d-profile"]}
+            this.kinds = {};
+
+            // names used in JS or HTML by this run, e.g. {items: {"d-profile": true}}, and names given before JS is
+            // processed (by #replacementsInput or #optimize), the latter are pruned unless they are used.
+            this.seen = {};
+            this.seeded = {};
+
+            this.getKinds().forEach(kind => {
+                this.replacements[kind] = {};
+                this.kinds[kind] = [];
+            });
+        }
+
+        /**
+         * @return {String[]} enabled kinds of names besides CSS classes, e.g. ["ids", "keyframes"].
+         */
+        getKinds() {
+            return Object.keys(KINDS).filter(kind => this.config[KINDS[kind]]);
         }
 
         /**
@@ -73,275 +273,1903 @@
             let className = 'no-match';
             while (true) {
                 className = this.counter.toString(34);
-                // only accept valid class names (cannot start with a digit, or a hyphen followed by a digit)
-                if (!/^([a-z_]|-[a-z_-])[a-z\d_-]*$/i.test(className)) {
-                    this.counter++;
-                    continue;
-                }
-
-                let regex = '\\b\\.' + className + '\\b';
 
-                if (this.cssText.search(new RegExp(regex, 'gi')) > -1) {
-                    this.counter++;
-                } else {
+                if (this.isNameAvailable(className)) {
                     break;
                 }
+
+                this.counter++;
             }
             this.counter++;
 
             return className;
         }
 
+        /**
+         * @param {String} className
+         * @return {Boolean} true if a generated name can be used as a CSS class name.
+         */
+        isNameAvailable(className) {
+            // only accept valid class names (cannot start with a digit, or a hyphen followed by a digit)
+            if (!/^([a-z_]|-[a-z_-])[a-z\d_-]*$/i.test(className)) {
+                return false;
+            }
+
+            // skip names which are already taken, e.g. by #replacementsInput
+            if (this.names[className]) {
+                return false;
+            }
+
+            if (this.isNameReserved(className)) {
+                return false;
+            }
+
+            let regex = '\\b\\.' + className + '\\b';
+
+            return this.cssText.search(new RegExp(regex, 'gi')) == -1;
+        }
+
+        /**
+         * @param {String} className
+         * @return {Boolean} true if a name is one of #reserved names or adblock-sensitive names.
+         */
+        isNameReserved(className) {
+            var reserved = this.reserved || [];
+
+            if (this.config.reserveAdblockNames) reserved = reserved.concat(ADBLOCK_NAMES);
+
+            return reserved.some(item => item instanceof RegExp ? item.test(className) : item == className);
+        }
+
+        /**
+         * @param {String} cls An original CSS class name.
+         * @return {String} a new name for a class according to #naming strategy.
+         */
+        createName(cls) {
+            var naming = this.config.naming,
+                bem = this.config.bem && this.splitBem(cls),
+                name;
+
+            if (bem && bem.block) return this.createBemName(bem);
+
+            if (naming == "sequential") {
+                name = this.key;
+                this.names[name] = true;
+                this.key = this.succ();
+
+                return name;
+            }
+
+            for (var attempt = 0;; attempt++) {
+                if (attempt == 1000) throw new Error("gulp-css-gsub: can't generate a name for \"" + cls + "\"");
+
+                if (naming == "hash") name = this.hashName(cls, attempt);else name = naming.call(this, cls, this.index++);
+
+                if (this.isNameAvailable(name)) break;
+            }
+
+            this.names[name] = true;
+
+            return name;
+        }
+
+        /**
+         * @return {Object} #bem options like {separators: ["__", "--"], suffixes: []}.
+         */
+        getBemOptions() {
+            return Object.assign({
+                separators: ["__", "--"],
+                suffixes: []
+            }, typeof this.config.bem == "object" ? this.config.bem : {});
+        }
+
+        /**
+         * @param {String} cls A class name, or a part of it like "__title".
+         * @return {Object|null} a class split into {block, parts, suffix}, e.g. "d-card__title--active" becomes
+         *                       {block: "d-card", parts: [{separator: "__", name: "title"}, {separator: "--",
+         *                       name: "active"}], suffix: ""}. Null for classes without elements, modifiers and suffixes.
+         */
+        splitBem(cls) {
+            var options = this.getBemOptions(),
+                escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+                suffix = options.suffixes.filter(item => cls.length > item.length && cls.slice(-item.length) == item)[0],
+                tokens,
+                parts = [];
+
+            if (suffix) cls = cls.slice(0, -suffix.length);
+
+            tokens = cls.split(new RegExp("(" + options.separators.map(escape).join("|") + ")"));
+
+            for (var i = 1; i < tokens.length; i += 2) {
+                if (!tokens[i + 1]) return null;
+
+                parts.push({ separator: tokens[i], name: tokens[i + 1] });
+            }
+
+            if (!parts.length && !suffix) return null;
+
+            return { block: tokens[0], parts: parts, suffix: suffix || "" };
+        }
+
+        /**
+         * @param {Object} bem See #splitBem.
+         * @return {String} a name built from names of a block and its parts, e.g. "a__b--c".
+         */
+        createBemName(bem) {
+            var items = this.replacements.items,
+                name = items[bem.block] || (items[bem.block] = this.createName(bem.block));
+
+            this.use("items", bem.block);
+
+            return name + this.createBemParts(bem) + bem.suffix;
+        }
+
+        /**
+         * @param {Object} bem See #splitBem.
+         * @return {String} renamed elements and modifiers, e.g. "__b--c".
+         */
+        createBemParts(bem) {
+            var parts = this.replacements.parts;
+
+            return bem.parts.map(part => {
+                if (!parts[part.name]) parts[part.name] = this.createName(part.name);
+
+                this.use("parts", part.name);
+
+                return part.separator + parts[part.name];
+            }).join("");
+        }
+
+        /**
+         * @param {String} cls
+         * @return {Boolean} true if a class is not used in JS by itself, but its block and parts are, e.g. "d-card__title"
+         *                   for baseCls + "__title" where baseCls is "d-card".
+         */
+        isBemDerived(cls) {
+            var bem = this.config.bem && this.splitBem(cls);
+
+            if (!bem || !bem.block || !this.isUsed("items", bem.block)) return false;
+
+            return bem.parts.every(part => this.isUsed("parts", part.name));
+        }
+
+        /**
+         * Replaces elements and modifiers which are concatenated with a block at runtime, e.g. "__title" in
+         * baseCls + "__title", when some CSS class ends with them.
+         * @param {String} value
+         * @param {Boolean} [silent]
+         * @return {String|null} null when a value isn't a part of BEM class.
+         */
+        replaceBemParts(value, silent) {
+            var bem = this.splitBem(value);
+
+            if (!bem || bem.block || !bem.parts.length) return null;
+
+            if (!this.classes.some(cls => cls.length > value.length && cls.slice(-value.length) == value)) return null;
+
+            if (!silent) this.replacements.count++;
+
+            return this.createBemParts(bem) + bem.suffix;
+        }
+
+        /**
+         * @param {String} cls An original CSS class name.
+         * @param {Number} attempt A number of names which were rejected for this class, it's used as a salt.
+         * @return {String} a name built from a hash of the original class name.
+         */
+        hashName(cls, attempt) {
+            var config = this.config,
+                alphabet = config.hashAlphabet,
+                digest = crypto.createHash("md5").update(attempt ? cls + ":" + attempt : cls).digest(),
+                name = "";
+
+            for (var i = 0; i < config.hashLength; i++) name += alphabet[digest[i % digest.length] % alphabet.length];
+
+            return name;
+        }
+
         /**
          * an entry point.
          */
         run() {
             this.openFiles();
-            this.initFilesAst();
+            this.loadReserved();
+            this.loadReplacements();
+            this.initCssAst();
             this.parseCssRules();
+            // after CSS classes are known, as cached results of JS files depend on them.
+            this.initJsAst();
+            this.parseCssNames();
+
+            if (this.config.optimize) this.assignNamesByFrequency();
+
             this.replace();
 
+            if (this.config.cacheDir) {
+                this.writeCache("replacements", this.replacements);
+            }
+
+            // written synchronously, so errors are thrown to the caller and the map is there once run() returns.
             if (this.config.replacementsOutput) {
-                fs.writeFile(this.config.replacementsOutput, JSON.stringify(this.replacements, null, 2), 'utf-8');
+                fs.writeFileSync(this.config.replacementsOutput, JSON.stringify(this.replacements, null, 2), 'utf-8');
             }
         }
 
         /**
-         * simply reads the content of CSS and js file.
+         * seeds replacements with a map from #replacementsInput, so known classes keep their names between builds.
          */
-        openFiles() {
-            this.cssText = fs.readFileSync(this.config.cssIn, "utf8");
-            this.jsText = fs.readFileSync(this.config.jsIn, "utf8");
+        loadReplacements() {
+            var input = this.config.replacementsInput,
+                items;
+
+            // the map of the previous incremental build.
+            if (!input && this.config.cacheDir) input = this.readCache("replacements");
+
+            if (!input) return;
+
+            if (typeof input == "string") {
+                // there is no map before the first build.
+                if (!fs.existsSync(input)) return;
+
+                input = JSON.parse(fs.readFileSync(input, "utf8"));
+            }
+
+            ["items"].concat(this.getKinds(), this.config.bem ? "parts" : []).forEach(section => {
+                items = input[section] || {};
+                this.seeded[section] = {};
+
+                Object.keys(items).forEach(name => {
+                    this.replacements[section][name] = items[name];
+                    this.names[items[name]] = true;
+                    this.seeded[section][name] = true;
+                });
+            });
+
+            if (this.names[this.key]) this.key = this.succ();
         }
 
         /**
-         * initializes AST for both CSS and JS.
+         * reads #reserved names, classes of reserved CSS files are added as strings.
          */
-        initFilesAst() {
-            this.cssAst = css.parse(this.cssText);
-            this.jsAst = esprima.parse(this.jsText);
+        loadReserved() {
+            var reserved = [].concat(this.config.reserved || []);
+
+            this.reserved = [];
+
+            reserved.forEach(item => {
+                var files = item && typeof item.text == "string" ? [item] : null;
+
+                if (!files && (typeof item != "string" || !/\.css$/.test(item))) return this.reserved.push(item);
+
+                (files || this.loadFiles(null, item)).forEach(file => {
+                    this.walkCssRules(css.parse(file.text, { source: file.path }).stylesheet.rules, rule => {
+                        (rule.selectors.join(" ").match(/\.-?[_a-zA-Z][\w-]*/g) || []).forEach(cls => {
+                            this.reserved.push(cls.slice(1));
+                        });
+                    });
+                });
+            });
+
+            if (!this.isNameAvailable(this.key)) this.key = this.succ();
         }
 
         /**
-         * @return {RegExp} regexp to match CSS classes like: .d-user-profile
+         * simply reads the content of CSS and js files.
          */
-        generateCssClsRegExp() {
+        openFiles() {
             var config = this.config;
 
-            if (config.prefix) return new RegExp("\\.(?:" + config.prefix + "){1}[0-9a-zA-Z\\-_]+", "g");
-
-            if (config.regexp) return new RegExp(config.regexp.toString().replace("\/", "\/."));
+            this.cssFiles = this.loadFiles(config.cssFiles, config.cssIn);
+            this.jsFiles = config.jsFiles || config.jsIn ? this.loadFiles(config.jsFiles, config.jsIn) : [];
+            this.htmlFiles = config.htmlFiles || config.htmlIn ? this.loadFiles(config.htmlFiles, config.htmlIn) : [];
 
-            return new RegExp("\\.[0-9a-zA-Z\\-_]+", "g");
+            this.htmlFiles.forEach(file => this.openInlineFiles(file));
+            this.cssText = this.cssFiles.map(file => file.text).join("\n");
         }
 
         /**
-         * @return {RegExp} regexp to match CSS classes like: <div class="d-user-profile"></div>
+         * parses HTML file and adds its inline <style> and <script> blocks to #cssFiles and #jsFiles, so they share
+         * the map of replacements. Inline files are marked with #inline and point to HTML file with #html.
+         * @param {Object} file One of #htmlFiles.
          */
-        generateJsClsRegExp() {
-            var config = this.config;
+        openInlineFiles(file) {
+            file.ast = parse5.parse(file.text, { sourceCodeLocationInfo: true });
+            file.edits = [];
 
-            if (config.prefix) return new RegExp("(\\b" + config.prefix + "[0-9a-zA-Z\-_]+)", "g");
+            this.walkHtml(file.ast, node => {
+                var text = node.childNodes && node.childNodes[0],
+                    type = this.getHtmlAttribute(node, "type"),
+                    inline;
 
-            if (config.regexp) return config.regexp;
+                if (node.nodeName != "style" && node.nodeName != "script") return;
 
-            return new RegExp(this.classes.join("|"), "g");
+                if (!text || text.nodeName != "#text" || !text.sourceCodeLocation) return;
+
+                // only JS scripts, not templates or JSON.
+                if (node.nodeName == "script" && type && !SCRIPT_TYPES.test(type)) return;
+
+                inline = {
+                    path: file.path,
+                    base: file.base,
+                    text: text.value,
+                    start: text.sourceCodeLocation.startOffset,
+                    end: text.sourceCodeLocation.endOffset,
+                    inline: true,
+                    html: file
+                };
+
+                if (node.nodeName == "style") this.cssFiles.push(inline);else this.jsFiles.push(inline);
+            });
         }
 
         /**
-         * parses CSS file to extract all CSS class names in required order.
+         * calls a function for every node of HTML AST including the content of <template> elements.
+         * @param {Object} node parse5 node.
+         * @param {Function} fn
          */
-        parseCssRules() {
-            var config = this.config,
-                regexp = this.generateCssClsRegExp(),
-                classes = [];
+        walkHtml(node, fn) {
+            fn(node);
 
-            this.rules = this.cssAst.stylesheet.rules;
+            (node.childNodes || []).forEach(child => this.walkHtml(child, fn));
 
-            for (var i = 0, rule; rule = this.rules[i]; i++) {
-                if (rule.type == "media") {
-                    // for (var j = 0, mediaRule; mediaRule = rule.rules[j]; j++) {
-                    //     if (mediaRule.type != "rule") continue;
-                    //     var selectors = mediaRule.selectors.join(" ").match(regexp);
-                    //     if (selectors) classes = classes.concat(selectors.join(" ").replace(/\./g, "").split(" "));
-                    // }
+            if (node.content) this.walkHtml(node.content, fn);
+        }
 
-                } else {
-                    if (rule.type != "rule") continue;
+        /**
+         * @param {Object} node parse5 element.
+         * @param {String} name
+         * @return {String|undefined}
+         */
+        getHtmlAttribute(node, name) {
+            var attr = (node.attrs || []).filter(attr => attr.name == name)[0];
 
-                    var selectors = rule.selectors.join(" ").match(regexp);
+            return attr && attr.value;
+        }
 
-                    if (selectors) classes = classes.concat(selectors.join(" ").replace(/\./g, "").split(" "));
-                }
-            }
+        /**
+         * @param {Object[]} [files] Already loaded files.
+         * @param {String|String[]} patterns A path, a glob or a list of paths/globs to read when #files are not given.
+         * @return {Object[]} list of files like: {path: "dist/js/app.js", base: "dist/js", text: "..."}
+         */
+        loadFiles(files, patterns) {
+            if (files) return files.map(file => Object.assign({}, file));
 
-            this.classes = classes.sort(function (a, b) {
-                return b.length - a.length;
-            }).filter(function (cls, pos) {
-                return classes.indexOf(cls) == pos;
+            return this.resolveFiles(patterns).map(file => {
+                file.text = fs.readFileSync(file.path, "utf8");
+                return file;
             });
         }
 
         /**
-         * replaces CSS class names in JS AST
-         * @return {Replacer}
+         * expands a list of paths/globs into a list of files, throws when a glob matches no files.
+         * @param {String|String[]} patterns
+         * @return {Object[]} list of files like: {path: "dist/js/app.js", base: "dist/js"}
          */
-        replace() {
-            var config = this.config,
-                replace = config.replace;
+        resolveFiles(patterns) {
+            var files = [],
+                paths = [];
 
-            estraverse.traverse(this.jsAst, {
-                enter: (node, parent) => {
-                    if (replace.call(this, node, parent) === false) return;
+            [].concat(patterns).forEach(pattern => {
+                var matches = glob.hasMagic(pattern) ? glob.sync(pattern, { nodir: true }) : [pattern],
+                    base = this.getGlobBase(pattern);
 
-                    if (node.type != "Literal") return;
+                // otherwise every CSS rule would be pruned as unused.
+                if (!matches.length) throw new Error("gulp-css-gsub: no files match \"" + pattern + "\"");
 
-                    if (typeof node.value != "string") return;
+                matches.forEach(match => {
+                    if (paths.indexOf(match) > -1) return;
 
-                    this.replaceItem(node);
-                }
+                    paths.push(match);
+                    files.push({ path: match, base: base });
+                });
             });
 
-            if (config.replaceAll) this.replaceAll();
-
-            return this;
+            return files;
         }
 
         /**
-         * Replaces a CSS class name in string literal node with it's minimized version.
-         * @param {Object} node String literal node.
-         * @return {undefined}
+         * @param {String} pattern
+         * @return {String} a non-magic part of a glob: "dist/js" for "dist/js/*.js".
          */
-        replaceItem(node) {
-            var value = node.value,
-                key = this.key,
-                replacements = this.replacements,
-                regexp = this.generateJsClsRegExp(),
-                matches = value.match(regexp);
+        getGlobBase(pattern) {
+            if (!glob.hasMagic(pattern)) return path.dirname(pattern);
 
-            if (!matches) return;
+            var parts = pattern.split("/"),
+                base = [];
 
-            for (var i = 0, match; match = matches[i]; i++) {
-                if (!replacements.items[match]) {
-                    replacements.items[match] = key;
-                    key = this.succ();
-                }
+            for (var i = 0; i < parts.length; i++) {
+                if (glob.hasMagic(parts[i])) break;
+
+                base.push(parts[i]);
             }
 
-            value = value.replace(regexp, function (a) {
-                replacements.count++;
-                return replacements.items[a];
-            });
+            return base.join("/") || ".";
+        }
 
-            node.value = value;
-            this.key = key;
+        /**
+         * initializes AST for both CSS and JS.
+         */
+        initFilesAst() {
+            this.initCssAst();
+            this.initJsAst();
         }
 
         /**
-         * peforms replacements for all unmatched CSS class names.
-         * @return {undefined}
+         * parses CSS files, parsed ASTs are taken from #cacheDir when it's possible.
          */
-        replaceAll() {
-            var replacements = this.replacements,
-                key = this.key;
+        initCssAst() {
+            var cacheDir = this.config.cacheDir,
+                sourceMaps = this.config.sourceMaps;
 
-            this.classes.forEach(cls => {
-                if (!replacements.items[cls]) {
-                    replacements.items[cls] = key;
-                    key = this.succ();
-                    replacements.count++;
+            this.cssFiles.forEach(file => {
+                // css.stringify needs original positions for source maps, they are lost in JSON.
+                file.hash = cacheDir && !sourceMaps ? this.getCacheKey(file.text) : null;
+                file.ast = file.hash && this.readCache(file.hash + ".ast");
+
+                if (file.ast) return;
+
+                try {
+                    file.ast = css.parse(file.text, { source: file.path });
+                } catch (e) {
+                    throw this.createParseError(e, file, e.line);
                 }
+
+                if (file.hash) this.writeCache(file.hash + ".ast", file.ast);
             });
         }
 
         /**
-         * @returns {String} Resulting CSS code with replacements based on CSS AST.
+         * parses JS files, parsed ASTs and resulting code are taken from #cacheDir when it's possible.
          */
-        generateCss() {
-            var replacements = this.replacements,
-                regexp = this.generateCssClsRegExp();
-
-            for (var i = 0, rule; rule = this.rules[i]; i++) {
-                if (rule.type == "media") {
-                    for (var z = 0, mediaRule; mediaRule = rule.rules[z]; z++) {
-                        if (mediaRule.type != "rule") continue;
-
-                        var newSelectors = [];
-                        var self = this;
-
-                        for (var j = 0, selector; selector = mediaRule.selectors[j]; j++) {
-                            selector = selector.replace(regexp, function (a) {
-                                var clazz = a.replace(".", "");
-                                if (!replacements.items[clazz] && mediaRule.selectors.join(" ").indexOf(':not') > -1) {
-                                    replacements.items[clazz] = self.succ();
-                                }
-                                return "." + replacements.items[clazz];
-                            });
+        initJsAst() {
+            var cacheDir = this.config.cacheDir,
+                classes = (this.classes || []).join(" "),
+                astKey;
 
-                            if (/undefined/.test(selector)) {
-                                // it can mean two things:
-                                // 1. there is a CSS rule which is not used in js file.
-                                // 2. it's a bug in gulp-css-gsub :)
-                                // console.log("undefined in " + selector + " === " + mediaRule.selectors.join(" "))
-                            } else {
-                                newSelectors.push(selector);
-                            }
-                        }
+            this.stats.cacheHits = 0;
 
-                        if (newSelectors.length == mediaRule.selectors.length) {
-                            mediaRule.selectors = newSelectors;
-                        } else {
-                            mediaRule.selectors = []; // remove mediaRule, because of unused selector.
-                        }
-                    }
-                } else {
-                    if (rule.type != "rule") continue;
+            this.jsFiles.forEach(file => {
+                // without #prefix CSS classes are searched in JS, so the resulting code depends on them.
+                file.hash = cacheDir ? this.getCacheKey(file.text + "\n" + classes) : null;
+                file.cache = file.hash && this.canCacheJs() ? this.readCache(file.hash + ".js") : null;
 
-                    var newSelectors = [];
-                    var self = this;
+                // the resulting code is already known, see #replace.
+                if (file.cache && this.isCacheValid(file.cache)) return;
 
-                    for (var j = 0, selector; selector = rule.selectors[j]; j++) {
-                        selector = selector.replace(regexp, function (a) {
-                            var clazz = a.replace(".", "");
-                            if (!replacements.items[clazz] && rule.selectors.join(" ").indexOf(':not') > -1) {
-                                replacements.items[clazz] = self.succ();
-                            }
-                            return "." + replacements.items[clazz];
-                        });
+                file.cache = null;
+                astKey = cacheDir ? this.getCacheKey(file.text) : null;
+                file.ast = astKey && this.readCache(astKey + ".ast");
 
-                        if (/undefined/.test(selector)) {
-                            // it can mean two things:
-                            // 1. there is a CSS rule which is not used in js file.
-                            // 2. it's a bug in gulp-css-gsub :)
-                            // console.log("undefined in " + selector + " === " + rule.selectors.join(" "))
-                        } else {
-                            newSelectors.push(selector);
-                        }
-                    }
+                if (file.ast) return;
 
-                    if (newSelectors.length == rule.selectors.length) {
-                        rule.selectors = newSelectors;
-                    } else {
-                        rule.selectors = []; // remove rule, because of unused selector.
-                    }
+                try {
+                    file.ast = this.parseJs(file.text);
+                } catch (e) {
+                    throw this.createParseError(e, file, e.loc && e.loc.line);
                 }
-            }
 
-            return css.stringify(this.cssAst);
+                if (astKey) this.writeCache(astKey + ".ast", file.ast);
+            });
+        }
+
+        /**
+         * @param {String} text
+         * @return {String} a key of cached data of a file with the text, it depends on the config as well.
+         */
+        getCacheKey(text) {
+            var ignore = ["cssFiles", "jsFiles", "htmlFiles", "cssIn", "jsIn", "htmlIn", "replacementsInput", "cacheDir"],
+                config = JSON.stringify(this.config, (key, value) => {
+                if (ignore.indexOf(key) > -1) return undefined;
+
+                return typeof value == "function" || value instanceof RegExp ? value.toString() : value;
+            });
+
+            return crypto.createHash("sha1").update(config + "\n" + text).digest("hex");
         }
 
         /**
-         * @returns {String} a resulting JS code with replacements based on JS AST.
+         * @param {String} name
+         * @return {Object|null} data from #cacheDir.
          */
-        generateJs() {
-            return escodegen.generate(this.jsAst);
+        readCache(name) {
+            var file = path.join(this.config.cacheDir, name + ".json");
+
+            if (!fs.existsSync(file)) return null;
+
+            return JSON.parse(fs.readFileSync(file, "utf8"));
         }
 
         /**
-         * @return {Number} number of replacments.
+         * @param {String} name
+         * @param {Object} data
          */
-        getReplacementsCount() {
-            return this.replacements.count;
+        writeCache(name, data) {
+            fs.mkdirSync(this.config.cacheDir, { recursive: true });
+            fs.writeFileSync(path.join(this.config.cacheDir, name + ".json"), JSON.stringify(data, (key, value) => {
+                // BigInt literals are generated from #bigint.
+                return typeof value == "bigint" ? null : value;
+            }));
+        }
+
+        /**
+         * @return {Boolean} true if the resulting JS code could be taken from #cacheDir. It's impossible when JS ASTs
+         *                   are needed anyway, or when the #replace hook could change replacements.
+         */
+        canCacheJs() {
+            var config = this.config;
+
+            return !config.sourceMaps && !config.optimize && config.replace == this.emptyFn;
+        }
+
+        /**
+         * @param {Object} cache Cached data of a JS file: {code, used, count, warnings, classes}.
+         * @return {Boolean} true if names which the cached code uses are still the same, e.g. they come from the map of
+         *                   the previous build.
+         */
+        isCacheValid(cache) {
+            if ((cache.classes || []).join(" ") != (this.classes || []).join(" ")) return false;
+
+            return Object.keys(cache.used).every(section => {
+                var map = this.replacements[section];
+
+                return map && Object.keys(cache.used[section]).every(name => map[name] == cache.used[section][name]);
+            });
+        }
+
+        /**
+         * Remembers a name which is used by this run, and by the current JS file, so its resulting code could be cached,
+         * see #cacheDir.
+         * @param {String} section "items", "parts" or a kind.
+         * @param {String} name
+         */
+        use(section, name) {
+            var used = this.used;
+
+            this.seen[section] = this.seen[section] || {};
+            this.seen[section][name] = true;
+
+            if (!used) return;
+
+            used[section] = used[section] || {};
+            used[section][name] = this.replacements[section][name];
+        }
+
+        /**
+         * @param {String} section "items", "parts" or a kind.
+         * @param {String} name
+         * @return {Boolean} true if a name is used by this run, names seeded from #replacementsInput or the map of the
+         *                   previous build are not, until they are found in JS or HTML.
+         */
+        isUsed(section, name) {
+            if (this.seen[section] && this.seen[section][name]) return true;
+
+            return !!this.replacements[section][name] && !(this.seeded[section] && this.seeded[section][name]);
+        }
+
+        /**
+         * @param {Error} error An error of CSS or JS parser.
+         * @param {Object} file One of #cssFiles or #jsFiles.
+         * @param {Number} [line] A line of the error in the file.
+         * @return {Error} the error with #fileName and #lineNumber, lines of inline files are counted from the start of
+         *                 HTML.
+         */
+        createParseError(error, file, line) {
+            if (line && file.inline) line += this.getLine(file, 0) - 1;
+
+            error.fileName = file.path;
+            error.lineNumber = line;
+            // CSS errors keep the position in #message and the error itself in #reason.
+            error.message = "can't parse " + file.path + (line ? ":" + line : "") + ": " + (error.reason || error.message);
+
+            return error;
+        }
+
+        /**
+         * @param {String} text
+         * @return {Object} ESTree AST of JS code.
+         */
+        parseJs(text) {
+            var options = Object.assign({}, this.config.parserOptions),
+                parser = acorn.Parser;
+
+            if (this.config.sourceMaps) options.locations = true;
+
+            if (options.jsx) parser = parser.extend(jsx(typeof options.jsx == "object" ? options.jsx : {}));
+
+            delete options.jsx;
+
+            if (options.sourceType) return parser.parse(text, options);
+
+            // legacy scripts could use sloppy mode code, e.g. "with" statements or octal literals.
+            try {
+                return parser.parse(text, Object.assign({}, options, { sourceType: "module" }));
+            } catch (e) {
+                try {
+                    return parser.parse(text, Object.assign({}, options, { sourceType: "script" }));
+                } catch (scriptError) {
+                    throw e;
+                }
+            }
+        }
+
+        /**
+         * @return {RegExp} regexp to match CSS classes like: .d-user-profile
+         */
+        generateCssClsRegExp() {
+            var config = this.config;
+
+            if (config.prefix) return new RegExp("\\.(?:" + config.prefix + "){1}[0-9a-zA-Z\\-_]+", "g");
+
+            // any class, #isClassMatch filters them.
+            if (this.getClassMatch()) return new RegExp("\\.-?[_a-zA-Z][\\w-]*", "g");
+
+            return new RegExp("\\.[0-9a-zA-Z\\-_]+", "g");
+        }
+
+        /**
+         * @return {RegExp} regexp to match CSS classes like: <div class="d-user-profile"></div>
+         */
+        generateJsClsRegExp() {
+            var config = this.config;
+
+            if (config.prefix) return new RegExp("(\\b" + config.prefix + "[0-9a-zA-Z\-_]+)", "g");
+
+            // any word which could be a class, #isClassMatch filters them.
+            if (this.getClassMatch()) return new RegExp("(?<![\\w-])-?[_a-zA-Z][\\w-]*", "g");
+
+            return new RegExp(this.classes.join("|"), "g");
+        }
+
+        /**
+         * @return {RegExp|Function|Array|null} #match (or #regexp), unless #prefix is given.
+         */
+        getClassMatch() {
+            return this.config.prefix ? null : this.config.match || this.config.regexp;
+        }
+
+        /**
+         * @param {String} cls
+         * @return {Boolean} true if a class should be renamed according to #match.
+         */
+        isClassMatch(cls) {
+            var match = this.getClassMatch();
+
+            if (!match) return true;
+
+            if (typeof match == "function") return !!match(cls);
+
+            return this.matchesPatterns(cls, [].concat(match));
+        }
+
+        /**
+         * @param {String} cls
+         * @param {Array} patterns Strings, regexps or globs like "d-icon-*".
+         * @return {Boolean} true if a class matches one of patterns.
+         */
+        matchesPatterns(cls, patterns) {
+            return patterns.some(item => {
+                if (item instanceof RegExp) {
+                    // regexps with "g" or "y" flag keep #lastIndex between calls.
+                    item.lastIndex = 0;
+                    return item.test(cls);
+                }
+
+                if (item.indexOf("*") == -1 && item.indexOf("?") == -1) return item == cls;
+
+                return new RegExp("^" + item.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$").test(cls);
+            });
+        }
+
+        /**
+         * parses CSS file to extract all CSS class names in required order.
+         */
+        parseCssRules() {
+            var config = this.config,
+                regexp = this.generateCssClsRegExp(),
+                classes = [];
+
+            this.cssFiles.forEach(file => {
+                this.walkCssRules(file.ast.stylesheet.rules, rule => {
+                    var selectors = rule.selectors.join(" ").match(regexp);
+
+                    rule.selectors.forEach(selector => {
+                        var attributes = selector.match(/\[\s*class\s*[~|^$*]?=[^\]]*\]/g) || [];
+
+                        attributes.forEach(attribute => {
+                            this.warn("class-attribute-selector", "unsafe attribute selector " + attribute + " in \"" + selector + "\"", file, this.getCssLine(file, rule));
+                        });
+                    });
+
+                    if (selectors) classes = classes.concat(selectors.join(" ").replace(/\./g, "").split(" "));
+                });
+            });
+
+            this.classes = classes.sort(function (a, b) {
+                return b.length - a.length;
+            }).filter((cls, pos) => {
+                return classes.indexOf(cls) == pos && this.isClassMatch(cls);
+            });
+        }
+
+        /**
+         * calls a function for every style rule including those nested into @media, @supports, @document and other
+         * grouping at-rules.
+         * @param {Object[]} rules CSS AST rules.
+         * @param {Function} fn
+         */
+        walkCssRules(rules, fn) {
+            for (var i = 0, rule; rule = rules[i]; i++) {
+                if (rule.type == "rule") fn(rule);else if (rule.rules) this.walkCssRules(rule.rules, fn);
+            }
+        }
+
+        /**
+         * calls a function for every node of CSS AST with declarations: style rules, keyframes, @font-face, @page etc.
+         * @param {Object[]} rules CSS AST rules.
+         * @param {Function} fn
+         */
+        walkCssNodes(rules, fn) {
+            for (var i = 0, rule; rule = rules[i]; i++) {
+                fn(rule);
+
+                if (rule.rules) this.walkCssNodes(rule.rules, fn);
+
+                if (rule.keyframes) this.walkCssNodes(rule.keyframes, fn);
+            }
+        }
+
+        /**
+         * @param {String} kind
+         * @param {String} name
+         * @return {Boolean} true if a name of a certain kind should be renamed.
+         */
+        isKindName(kind, name) {
+            var prefix = this.config.prefix;
+
+            if (this.kinds[kind].indexOf(name) > -1) return true;
+
+            return !!prefix && name.indexOf(prefix) == 0 && name.length > prefix.length;
+        }
+
+        /**
+         * collects IDs, custom properties, keyframes and grid area names from CSS, depending on enabled kinds.
+         */
+        parseCssNames() {
+            var kinds = this.kinds,
+                prefix = this.config.prefix,
+                add = (kind, name) => {
+                if (!kinds[kind] || kinds[kind].indexOf(name) > -1) return;
+
+                if (prefix && name.indexOf(prefix) != 0) return;
+
+                kinds[kind].push(name);
+            };
+
+            this.cssFiles.forEach(file => {
+                this.walkCssNodes(file.ast.stylesheet.rules, node => {
+                    if (node.type == "rule") {
+                        node.selectors.forEach(selector => {
+                            (selector.match(/#[\w-]+/g) || []).forEach(id => add("ids", id.slice(1)));
+                        });
+                    }
+
+                    if (node.type == "keyframes") add("keyframes", node.name);
+
+                    (node.declarations || []).forEach(declaration => {
+                        if (declaration.type != "declaration") return;
+
+                        if (declaration.property.indexOf("--") == 0) add("customProperties", declaration.property.slice(2));
+
+                        (declaration.value.match(/var\(\s*--[\w-]+/g) || []).forEach(match => {
+                            add("customProperties", match.replace(/var\(\s*--/, ""));
+                        });
+
+                        if (declaration.property == "grid-template-areas" || declaration.property == "grid-template") {
+                            (declaration.value.match(/"[^"]*"|'[^']*'/g) || []).forEach(areas => {
+                                (areas.match(/[\w-]+/g) || []).forEach(area => add("gridAreas", area));
+                            });
+                        }
+                    });
+                });
+            });
+        }
+
+        /**
+         * @param {String} kind
+         * @param {String} name
+         * @return {String} a new name for a name of a certain kind.
+         */
+        getKindName(kind, name) {
+            var map = this.replacements[kind];
+
+            if (!map[name]) map[name] = this.createName(name);
+
+            this.use(kind, name);
+
+            return map[name];
+        }
+
+        /**
+         * Replaces whole words which are names of a certain kind, e.g. "d-fade 1s ease" for keyframes.
+         * @param {String} kind
+         * @param {String} value
+         * @return {String}
+         */
+        replaceKindWords(kind, value) {
+            return value.replace(/[\w-]+/g, word => {
+                return this.isKindName(kind, word) ? this.getKindName(kind, word) : word;
+            });
+        }
+
+        /**
+         * Replaces names that are recognizable in any string: "#d-profile" for IDs and "--d-color" for custom
+         * properties.
+         * @param {String} value
+         * @return {String}
+         */
+        replaceKindReferences(value) {
+            if (this.kinds.ids) {
+                value = value.replace(/#([\w-]+)/g, (match, id) => {
+                    return this.isKindName("ids", id) ? "#" + this.getKindName("ids", id) : match;
+                });
+            }
+
+            if (this.kinds.customProperties) {
+                value = value.replace(/(^|[^\w-])--([\w-]+)/g, (match, before, property) => {
+                    if (!this.isKindName("customProperties", property)) return match;
+
+                    return before + "--" + this.getKindName("customProperties", property);
+                });
+            }
+
+            return value;
+        }
+
+        /**
+         * @param {Object} node A string node.
+         * @param {Object} parent
+         * @return {String|undefined} a kind of names which a string holds based on where it's used, e.g. "ids" for
+         *                            getElementById("d-profile") or {id: "d-profile"}.
+         */
+        getKindByContext(node, parent) {
+            var context, callee, args;
+
+            if (!parent) return;
+
+            if (parent.type == "AssignmentExpression" && parent.right === node && parent.left.type == "MemberExpression") context = this.getPropertyName(parent.left.property, parent.left.computed);
+
+            if (parent.type == "Property" && parent.value === node) context = this.getPropertyName(parent.key, parent.computed);
+
+            if (parent.type == "JSXAttribute") context = parent.name.name;
+
+            if (parent.type == "CallExpression") {
+                callee = parent.callee;
+                args = parent.arguments;
+                context = callee.type == "MemberExpression" ? this.getPropertyName(callee.property, callee.computed) : this.getPropertyName(callee);
+
+                // setAttribute("id", "..."), style.setProperty("animation-name", "...")
+                if (context == "setAttribute" || context == "setProperty") {
+                    context = args[1] === node && args[0].type == "Literal" ? String(args[0].value) : null;
+                    context = context && context.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+                } else if (args[0] !== node) {
+                    context = null;
+                }
+            }
+
+            if (context && CONTEXTS.hasOwnProperty(context) && this.kinds[CONTEXTS[context]]) return CONTEXTS[context];
+        }
+
+        /**
+         * @param {Object} node Identifier or Literal node.
+         * @param {Boolean} [computed] True for obj[key] and {[key]: value}, where identifiers aren't property names.
+         * @return {String|undefined}
+         */
+        getPropertyName(node, computed) {
+            if (node.type == "Identifier" && !computed) return node.name;
+
+            if (node.type == "Literal") return String(node.value);
+        }
+
+        /**
+         * gives names to all collected names of other kinds, which weren't found in JS.
+         */
+        replaceKinds() {
+            this.getKinds().forEach(kind => {
+                this.kinds[kind].forEach(name => this.getKindName(kind, name));
+            });
+        }
+
+        /**
+         * Replaces names of other kinds in CSS AST: IDs in selectors, custom properties, keyframes and grid areas in
+         * declarations.
+         * @param {Object[]} rules CSS AST rules.
+         */
+        replaceCssKinds(rules) {
+            var kinds = this.kinds,
+                replacements = this.replacements;
+
+            this.walkCssNodes(rules, node => {
+                if (node.type == "rule" && kinds.ids) {
+                    node.selectors = node.selectors.map(selector => {
+                        return selector.replace(/#([\w-]+)/g, (match, id) => {
+                            return replacements.ids[id] ? "#" + replacements.ids[id] : match;
+                        });
+                    });
+                }
+
+                if (node.type == "keyframes" && kinds.keyframes && replacements.keyframes[node.name]) node.name = replacements.keyframes[node.name];
+
+                (node.declarations || []).forEach(declaration => {
+                    var property = declaration.property;
+
+                    if (declaration.type != "declaration") return;
+
+                    if (kinds.customProperties) {
+                        declaration.property = this.replaceKindReferences(property);
+                        declaration.value = this.replaceKindReferences(declaration.value);
+                    }
+
+                    if (kinds.keyframes && (property == "animation" || property == "animation-name")) declaration.value = this.replaceKindWords("keyframes", declaration.value);
+
+                    if (kinds.gridAreas && GRID_PROPERTIES.indexOf(property) > -1) declaration.value = this.replaceKindWords("gridAreas", declaration.value);
+                });
+            });
+        }
+
+        /**
+         * replaces CSS class names in JS AST: string literals, template literals (including tagged ones) and JSX.
+         * @return {Replacer}
+         */
+        replace() {
+            var config = this.config,
+                replace = config.replace;
+
+            this.jsFiles.forEach(file => {
+                var count = this.replacements.count,
+                    warnings = this.warnings.length,
+                    raws = null;
+
+                // an unchanged file of an incremental build, names it uses are known.
+                if (file.cache) {
+                    Object.keys(file.cache.used).forEach(section => {
+                        Object.keys(file.cache.used[section]).forEach(name => this.use(section, name));
+                    });
+
+                    this.replacements.count += file.cache.count;
+                    file.cache.warnings.forEach(warning => this.warnings.push(warning));
+                    this.stats.cacheHits++;
+                    return;
+                }
+
+                this.used = file.hash ? {} : null;
+                this.currentFile = file;
+                // string nodes whose #raw is changed, only they are edited by #preserveFormatting.
+                file.edited = new Set();
+                this.selectorNodes = this.collectNodes(file.ast, node => this.getSelectorContexts(node));
+                this.classNodes = config.precise ? this.collectNodes(file.ast, node => this.getClassContexts(node)) : null;
+
+                // #replace could change any string node, so they are compared before and after.
+                if (replace != this.emptyFn) {
+                    raws = new Map();
+
+                    estraverse.traverse(file.ast, {
+                        fallback: "iteration",
+                        enter: node => {
+                            if (this.isStringNode(node)) raws.set(node, this.getRaw(node));
+                        }
+                    });
+                }
+
+                estraverse.traverse(file.ast, {
+                    fallback: "iteration",
+                    enter: (node, parent) => {
+                        if (replace.call(this, node, parent) === false) return;
+
+                        this.checkDynamicClass(node);
+
+                        if (!this.isStringNode(node)) return;
+
+                        this.currentOffset = node.start;
+                        this.replaceItem(node, parent);
+                    }
+                });
+
+                (raws || []).forEach((raw, node) => {
+                    if (this.getRaw(node) != raw) file.edited.add(node);
+                });
+
+                file.used = this.used;
+                file.count = this.replacements.count - count;
+                file.warnings = this.warnings.slice(warnings);
+                this.used = null;
+            });
+
+            this.htmlFiles.forEach(file => {
+                this.currentFile = file;
+                this.replaceHtml(file);
+            });
+
+            this.currentFile = null;
+            this.currentOffset = null;
+
+            if (config.replaceAll) this.replaceAll();
+
+            this.replaceKinds();
+
+            return this;
+        }
+
+        /**
+         * @param {Object} node
+         * @return {Boolean} true if a node is a string literal, template element or JSX text.
+         */
+        isStringNode(node) {
+            if (node.type == "TemplateElement" || node.type == "JSXText") return true;
+
+            return node.type == "Literal" && typeof node.value == "string";
+        }
+
+        /**
+         * @param {Object} node String literal, TemplateElement or JSXText node.
+         * @return {String}
+         */
+        getStringValue(node) {
+            if (node.type == "TemplateElement") return node.value.raw;
+
+            return node.value;
+        }
+
+        /**
+         * Counts occurrences of CSS classes in CSS selectors and JS strings and gives the shortest names to the most
+         * frequent classes. Only classes which would be renamed anyway get names: those found in JS strings which
+         * #replace rewrites, or all of them when #replaceAll is enabled. These names don't count as uses, see #isUsed.
+         * Byte savings compared with the order of appearance are stored in #stats.frequencySavings.
+         */
+        assignNamesByFrequency() {
+            var counts = {},
+                classes = [],
+                cssRegExp = this.generateCssClsRegExp(),
+                jsRegExp = this.generateJsClsRegExp(),
+                replacements = this.replacements,
+                names,
+                sorted,
+                size = list => list.reduce((bytes, cls, i) => bytes + counts[cls] * names[i].length, 0);
+
+            this.jsFiles.forEach(file => {
+                var precise = this.config.precise,
+                    selectorNodes = precise && this.collectNodes(file.ast, node => this.getSelectorContexts(node)),
+                    classNodes = precise && this.collectNodes(file.ast, node => this.getClassContexts(node));
+
+                estraverse.traverse(file.ast, {
+                    fallback: "iteration",
+                    enter: (node, parent) => {
+                        var value, matches;
+
+                        if (!this.isStringNode(node) || this.getKindByContext(node, parent)) return;
+
+                        value = this.getStringValue(node);
+
+                        // precise mode rewrites only whole names in class lists and "class" attributes of HTML code.
+                        if (classNodes && classNodes.has(node)) matches = value.split(/\s+/).filter(cls => this.isClassName(cls));else if (classNodes && !selectorNodes.has(node)) matches = this.getHtmlClasses(value).filter(cls => this.isClassName(cls));else matches = value.match(jsRegExp) || [];
+
+                        matches.forEach(cls => {
+                            if (!this.isClassMatch(cls)) return;
+
+                            if (!counts[cls]) {
+                                counts[cls] = 0;
+                                classes.push(cls);
+                            }
+
+                            counts[cls]++;
+                        });
+                    }
+                });
+            });
+
+            if (this.config.replaceAll) {
+                this.classes.forEach(cls => {
+                    if (!counts[cls]) {
+                        counts[cls] = 0;
+                        classes.push(cls);
+                    }
+                });
+            }
+
+            this.cssFiles.forEach(file => {
+                this.walkCssRules(file.ast.stylesheet.rules, rule => {
+                    (rule.selectors.join(" ").match(cssRegExp) || []).forEach(selector => {
+                        var cls = selector.replace(".", "");
+
+                        if (counts.hasOwnProperty(cls)) counts[cls]++;
+                    });
+                });
+            });
+
+            classes = classes.filter(cls => !replacements.items[cls]);
+            sorted = classes.slice().sort((a, b) => counts[b] - counts[a]);
+            names = sorted.map(cls => replacements.items[cls] = this.createName(cls));
+
+            this.seeded.items = this.seeded.items || {};
+            sorted.forEach(cls => this.seeded.items[cls] = true);
+
+            this.stats.frequencySavings = size(classes) - size(sorted);
+        }
+
+        /**
+         * Replaces CSS class names in "class" attributes of HTML file, and IDs in "id" and "for" attributes when
+         * #renameIds is enabled. Changes are stored as #edits of the file.
+         * @param {Object} file One of #htmlFiles.
+         */
+        replaceHtml(file) {
+            this.walkHtml(file.ast, node => {
+                (node.attrs || []).forEach(attr => {
+                    var location = node.sourceCodeLocation && node.sourceCodeLocation.attrs[attr.name],
+                        value = attr.value;
+
+                    if (!location) return;
+
+                    this.currentOffset = location.startOffset;
+
+                    if (attr.name == "class") value = this.replaceClassList(value);else if (this.kinds.ids && (attr.name == "id" || attr.name == "for")) value = this.replaceKindWords("ids", value);
+
+                    if (value == attr.value) return;
+
+                    file.edits.push({
+                        start: location.startOffset,
+                        end: location.endOffset,
+                        code: attr.name + "=\"" + value.replace(/&/g, "&amp;").replace(/"/g, "&quot;") + "\""
+                    });
+                });
+            });
+        }
+
+        /**
+         * Replaces CSS class names in string literal, template element or JSX text node with their minimized versions.
+         * When other kinds of names are enabled, a string used as an ID, an animation or a grid area (based on #parent)
+         * gets names of that kind replaced instead of classes.
+         * @param {Object} node String literal, TemplateElement or JSXText node.
+         * @param {Object} [parent]
+         * @return {undefined}
+         */
+        replaceItem(node, parent) {
+            var kind = this.getKindByContext(node, parent);
+
+            if (kind) {
+                this.updateItem(node, value => this.replaceKindWords(kind, value));
+                return;
+            }
+
+            if (this.selectorNodes && this.selectorNodes.has(node)) {
+                this.updateItem(node, (value, silent) => this.replaceSelector(value, node, silent));
+                return;
+            }
+
+            if (this.classNodes && !this.classNodes.has(node)) {
+                this.updateItem(node, (value, silent) => this.replaceHtmlClasses(this.replaceKindReferences(value), silent));
+                return;
+            }
+
+            if (this.classNodes) {
+                this.updateItem(node, (value, silent) => this.replaceClassList(this.replaceKindReferences(value), silent));
+                return;
+            }
+
+            // "#d-profile" and "--d-color" go first, so they aren't taken for classes.
+            this.updateItem(node, (value, silent) => this.replaceText(this.replaceKindReferences(value), silent));
+        }
+
+        /**
+         * Replaces CSS class names only inside "class" attributes of HTML code, e.g. '<div class="d-profile">'.
+         * @param {String} value
+         * @param {Boolean} [silent]
+         * @return {String}
+         */
+        replaceHtmlClasses(value, silent) {
+            return value.replace(HTML_CLASS_ATTRIBUTE, (match, attr, quote, classes) => {
+                return attr + quote + this.replaceClassList(classes, silent) + quote;
+            });
+        }
+
+        /**
+         * @param {String} value HTML code, e.g. '<div class="d-profile d-active">'.
+         * @return {String[]} names listed in "class" attributes.
+         */
+        getHtmlClasses(value) {
+            var classes = [];
+
+            value.replace(HTML_CLASS_ATTRIBUTE, (match, attr, quote, list) => {
+                classes = classes.concat(list.split(/\s+/));
+                return match;
+            });
+
+            return classes;
+        }
+
+        /**
+         * Replaces whole whitespace-separated class names, e.g. "left" in "left active", but not in "leftover".
+         * @param {String} value
+         * @param {Boolean} [silent]
+         * @return {String}
+         */
+        replaceClassList(value, silent) {
+            var parts = this.config.bem && this.replaceBemParts(value, silent);
+
+            if (parts) return parts;
+
+            return value.replace(/\S+/g, cls => this.replaceClassName(cls, silent));
+        }
+
+        /**
+         * Replaces CSS class names (and IDs, when #renameIds is enabled) in a CSS selector, e.g. ".d-list > .d-item".
+         * Attribute selectors like [class^="d-"] are left as is and reported in #warnings.
+         * HTML code and strings which can't be parsed (e.g. parts of concatenated selectors) are replaced as a plain text.
+         * @param {String} value
+         * @param {Object} node A string node.
+         * @param {Boolean} [silent]
+         * @return {String}
+         */
+        replaceSelector(value, node, silent) {
+            var processor = selectorParser(selectors => {
+                selectors.walkClasses(cls => {
+                    cls.value = this.replaceClassName(cls.value, silent);
+                });
+
+                selectors.walkIds(id => {
+                    if (this.kinds.ids && this.isKindName("ids", id.value)) id.value = this.getKindName("ids", id.value);
+                });
+
+                selectors.walkAttributes(attribute => {
+                    if (!silent && attribute.attribute == "class") {
+                        this.warn("class-attribute-selector", "unsafe attribute selector " + attribute.toString().trim() + " in \"" + value + "\"", this.currentFile, this.getLine(this.currentFile, node.start));
+                    }
+                });
+            });
+
+            // $("<div class='d-item'>") creates elements.
+            if (/^\s*</.test(value)) return this.replaceText(this.replaceKindReferences(value), silent);
+
+            try {
+                return processor.processSync(value);
+            } catch (e) {
+                return this.replaceText(this.replaceKindReferences(value), silent);
+            }
+        }
+
+        /**
+         * @param {String} cls
+         * @param {Boolean} [silent]
+         * @return {String} a minimized version of a class, when the whole name matches, e.g. "d-item", but not "d-item-x".
+         */
+        replaceClassName(cls, silent) {
+            if (!this.isClassName(cls) || !this.isClassMatch(cls)) return cls;
+
+            return this.replaceText(cls, silent);
+        }
+
+        /**
+         * @param {String} cls
+         * @return {Boolean} true if a whole string could be a class, e.g. "d-item", but not "d-item x" or "" with #prefix
+         *                   "d-".
+         */
+        isClassName(cls) {
+            var matches = cls.match(this.generateJsClsRegExp());
+
+            return !!matches && matches.length == 1 && matches[0] == cls;
+        }
+
+        /**
+         * Adds a warning to #warnings, unless the same warning is already there.
+         * @param {String} type One of:
+         * "dropped-rule" - a CSS rule is removed, because one of its classes is not used in JS;
+         * "class-attribute-selector" - an attribute selector like [class^="d-"] in CSS or JS, which can't be renamed;
+         * "dynamic-class" - a class name built dynamically in JS, e.g. "d-item-" + state;
+         * "js-only-class" - a class found in JS or HTML, but not in CSS.
+         * @param {String} message
+         * @param {Object} [file] One of #cssFiles, #jsFiles or #htmlFiles.
+         * @param {Number} [line]
+         */
+        warn(type, message, file, line) {
+            var warning = { type: type, message: message };
+
+            if (file) warning.file = file.path;
+
+            if (line) warning.line = line;
+
+            if (this.warnings.some(item => JSON.stringify(item) == JSON.stringify(warning))) return;
+
+            this.warnings.push(warning);
+        }
+
+        /**
+         * @param {Object} file One of #jsFiles or #htmlFiles.
+         * @param {Number} offset
+         * @return {Number|undefined} a line of an offset in a file, inline files are counted from the start of HTML.
+         */
+        getLine(file, offset) {
+            if (!file || typeof offset != "number") return;
+
+            if (file.inline) return this.getLine(file.html, file.start + offset);
+
+            return file.text.slice(0, offset).split("\n").length;
+        }
+
+        /**
+         * @param {Object} file One of #cssFiles.
+         * @param {Object} rule CSS AST rule.
+         * @return {Number|undefined}
+         */
+        getCssLine(file, rule) {
+            var line = rule.position && rule.position.start.line;
+
+            if (line && file.inline) return this.getLine(file, 0) + line - 1;
+
+            return line;
+        }
+
+        /**
+         * Reports a class name which is built dynamically, e.g. "d-item-" + state or `d-item-${state}`, as there is no
+         * way to rename it. Only classes with #prefix can be detected.
+         * @param {Object} node
+         */
+        checkDynamicClass(node) {
+            var prefix = this.config.prefix,
+                strings = [],
+                word;
+
+            if (!prefix) return;
+
+            if (node.type == "BinaryExpression" && node.operator == "+" && this.isStringNode(node.left) && !this.isStringNode(node.right)) strings.push(node.left);
+
+            if (node.type == "TemplateLiteral") strings = node.quasis.slice(0, -1);
+
+            strings.forEach(string => {
+                word = this.getStringValue(string).split(/[\s.]/).pop();
+
+                if (word.indexOf(prefix) != 0) return;
+
+                this.warn("dynamic-class", "dynamic class name \"" + word + "...\"", this.currentFile, this.getLine(this.currentFile, node.start));
+            });
+        }
+
+        /**
+         * @return {Object} a report like {warnings: [...]}, see #warnings.
+         */
+        getReport() {
+            return {
+                warnings: this.warnings
+            };
+        }
+
+        /**
+         * Writes #getReport to #reportOutput. Should be called after CSS is generated, as dropped rules are reported
+         * during generation.
+         */
+        writeReport() {
+            if (this.config.reportOutput) fs.writeFileSync(this.config.reportOutput, JSON.stringify(this.getReport(), null, 2));
+        }
+
+        /**
+         * collects string nodes which are used in certain contexts, e.g. as CSS classes or selectors.
+         * @param {Object} ast JS AST.
+         * @param {Function} getContexts Receives a node and returns expressions which form a context, see
+         *                               #getClassContexts.
+         * @return {Set}
+         */
+        collectNodes(ast, getContexts) {
+            var nodes = new Set();
+
+            estraverse.traverse(ast, {
+                fallback: "iteration",
+                enter: node => {
+                    getContexts(node).forEach(context => {
+                        estraverse.traverse(context, {
+                            fallback: "iteration",
+                            enter: child => {
+                                // callbacks are not a part of a class list or a selector.
+                                if (/Function/.test(child.type)) return estraverse.VisitorOption.Skip;
+
+                                if (this.isStringNode(child)) nodes.add(child);
+                            }
+                        });
+                    });
+                }
+            });
+
+            return nodes;
+        }
+
+        /**
+         * @param {Object} node
+         * @return {Object[]} expressions which hold CSS classes or selectors, e.g. arguments of el.classList.add(...).
+         */
+        getClassContexts(node) {
+            var calls = CLASS_CALLS.concat(this.config.classCalls),
+                args = node.arguments,
+                name;
+
+            if (node.type == "CallExpression") {
+                name = this.getCalleeName(node.callee);
+
+                if (/(^|\.)classList\.(add|remove|toggle|contains|replace)$/.test(name)) return args;
+
+                if (/(^|\.)setAttribute$/.test(name)) return args[0] && args[0].value == "class" ? args.slice(1, 2) : [];
+
+                if (calls.some(call => name == call || name.slice(-call.length - 1) == "." + call)) return args;
+            }
+
+            if (node.type == "AssignmentExpression" && node.left.type == "MemberExpression") {
+                if (this.getPropertyName(node.left.property, node.left.computed) == "className") return [node.right];
+            }
+
+            if (node.type == "Property" && node.value && this.getPropertyName(node.key, node.computed) == "className") return [node.value];
+
+            if (node.type == "JSXAttribute" && node.value && /^(className|class)$/.test(node.name.name)) return [node.value];
+
+            return [];
+        }
+
+        /**
+         * @param {Object} node
+         * @return {Object[]} expressions which hold CSS selectors, e.g. the first argument of el.querySelector(...).
+         */
+        getSelectorContexts(node) {
+            var name;
+
+            if (node.type != "CallExpression" || !node.arguments.length) return [];
+
+            name = this.getCalleeName(node.callee);
+
+            if (SELECTOR_CALLS.some(call => name == call || name.slice(-call.length - 1) == "." + call)) return node.arguments.slice(0, 1);
+
+            return [];
+        }
+
+        /**
+         * @param {Object} node
+         * @return {String} a dotted name of a callee, e.g. "el.classList.add" or "$" ("?" for unknown parts).
+         */
+        getCalleeName(node) {
+            if (node.type == "Identifier") return node.name;
+
+            if (node.type == "ThisExpression") return "this";
+
+            if (node.type == "MemberExpression") return this.getCalleeName(node.object) + "." + (this.getPropertyName(node.property, node.computed) || "?");
+
+            return "?";
+        }
+
+        /**
+         * @param {Object} node String literal, TemplateElement or JSXText node.
+         * @param {Function} fn Receives a value and a flag which is true when the same value is processed the second
+         *                      time (e.g. #raw), returns a new value.
+         */
+        updateItem(node, fn) {
+            var value = node.value,
+                raw = this.getRaw(node);
+
+            if (node.type == "TemplateElement") {
+                node.value = {
+                    raw: fn(value.raw),
+                    cooked: value.cooked == null ? value.cooked : fn(value.cooked, true)
+                };
+            } else {
+                node.value = fn(value);
+
+                // JSX strings and texts are generated from #raw, quotes of string literals are kept as they are, since
+                // selectors can't be parsed with them.
+                if (node.raw && node.type == "Literal" && /^["']/.test(node.raw)) node.raw = node.raw[0] + fn(node.raw.slice(1, -1), true) + node.raw.slice(-1);else if (node.raw) node.raw = fn(node.raw, true);
+            }
+
+            if (this.getRaw(node) != raw) this.currentFile.edited.add(node);
+        }
+
+        /**
+         * @param {Object} node String literal, TemplateElement or JSXText node.
+         * @return {String} the code of a node which is used by #preserveFormatting.
+         */
+        getRaw(node) {
+            return node.type == "TemplateElement" ? node.value.raw : node.raw;
+        }
+
+        /**
+         * Replaces CSS class names in a string with their minimized versions.
+         * @param {String} value
+         * @param {Boolean} [silent] Should be true to not count replacements, when the same value is replaced twice.
+         * @return {String}
+         */
+        replaceText(value, silent) {
+            var replacements = this.replacements,
+                regexp = this.generateJsClsRegExp(),
+                matches = (value.match(regexp) || []).filter(match => this.isClassMatch(match)),
+                parts = this.config.bem && this.replaceBemParts(value, silent);
+
+            if (parts) return parts;
+
+            if (!matches.length) return value;
+
+            for (var i = 0, match; match = matches[i]; i++) {
+                if (!replacements.items[match]) replacements.items[match] = this.createName(match);
+
+                this.use("items", match);
+
+                if (!silent && this.classes.indexOf(match) == -1) {
+                    this.warn("js-only-class", "class \"" + match + "\" is not found in CSS", this.currentFile, this.getLine(this.currentFile, this.currentOffset));
+                }
+            }
+
+            value = value.replace(regexp, a => {
+                if (!this.isClassMatch(a)) return a;
+
+                if (!silent) replacements.count++;
+
+                return replacements.items[a];
+            });
+
+            return value;
+        }
+
+        /**
+         * peforms replacements for all unmatched CSS class names.
+         * @return {undefined}
+         */
+        replaceAll() {
+            var replacements = this.replacements;
+
+            this.classes.forEach(cls => {
+                if (!replacements.items[cls]) {
+                    replacements.items[cls] = this.createName(cls);
+                    replacements.count++;
+                }
+
+                this.use("items", cls);
+            });
+        }
+
+        /**
+         * @param {Object} [file] One of #cssFiles, the first one is used by default.
+         * @returns {String} Resulting CSS code with replacements based on CSS AST. When #sourceMaps is enabled,
+         *                   a source map is stored in #map of the file.
+         */
+        generateCss(file) {
+            file = file || this.cssFiles[0];
+
+            var replacements = this.replacements,
+                regexp = this.generateCssClsRegExp(),
+                ast = file.ast,
+                rules = ast.stylesheet.rules,
+                result;
+
+            this.walkCssRules(rules, rule => {
+                var newSelectors = [],
+                    unused = [],
+                    pruned,
+                    self = this;
+
+                for (var j = 0, selector; selector = rule.selectors[j]; j++) {
+                    pruned = false;
+                    selector = selector.replace(regexp, function (a) {
+                        var clazz = a.replace(".", "");
+                        if (!self.isClassMatch(clazz)) {
+                            return a;
+                        }
+                        // names from #replacementsInput don't keep rules of classes which are no longer used.
+                        var used = self.isUsed("items", clazz) || rule.selectors.join(" ").indexOf(':not') > -1 || self.isBemDerived(clazz);
+                        if (used && !replacements.items[clazz]) {
+                            replacements.items[clazz] = self.createName(clazz);
+                        }
+                        if (!used && self.config.prune && !self.isSafelisted(clazz)) {
+                            unused.push(a);
+                            pruned = true;
+                            return a;
+                        }
+                        if (!replacements.items[clazz]) {
+                            return a;
+                        }
+                        return "." + replacements.items[clazz];
+                    });
+
+                    // a class is not used in JS.
+                    if (!pruned) newSelectors.push(selector);
+                }
+
+                if (newSelectors.length == rule.selectors.length) {
+                    rule.selectors = newSelectors;
+                } else {
+                    this.warn("dropped-rule", "rule \"" + rule.selectors.join(", ") + "\" is removed, because of unused " + unused.join(", "), file, this.getCssLine(file, rule));
+                    rule.pruned = true; // remove rule, because of unused selector.
+                }
+            });
+
+            this.stats.prunedBytes = (this.stats.prunedBytes || 0) + this.pruneCssRules(rules);
+
+            this.replaceCssKinds(rules);
+
+            if (!this.config.sourceMaps) return css.stringify(ast);
+
+            result = css.stringify(ast, {
+                sourcemap: "generator",
+                inputSourcemaps: false
+            });
+
+            file.map = this.applyInputSourceMap(file, result.map);
+
+            return result.code;
+        }
+
+        /**
+         * Removes rules marked as pruned by #generateCss and at-rules which have no rules left, e.g. an empty @media.
+         * @param {Object[]} rules CSS AST rules.
+         * @return {Number} removed bytes of minified CSS.
+         */
+        pruneCssRules(rules) {
+            var bytes = 0;
+
+            for (var i = rules.length - 1, rule; rule = rules[i]; i--) {
+                if (rule.rules) bytes += this.pruneCssRules(rule.rules);
+
+                if (rule.pruned || rule.rules && !rule.rules.some(child => child.type != "comment")) {
+                    bytes += css.stringify({ type: "stylesheet", stylesheet: { rules: [rule] } }, { compress: true }).length;
+                    rules.splice(i, 1);
+                }
+            }
+
+            return bytes;
+        }
+
+        /**
+         * @param {String} cls
+         * @return {Boolean} true if a class matches one of #safelist strings, regexps or globs.
+         */
+        isSafelisted(cls) {
+            return this.matchesPatterns(cls, this.config.safelist);
+        }
+
+        /**
+         * @returns {Object[]} resulting CSS code of every file like: {path: "dist/css/main.css", code: "..."}
+         */
+        generateCssFiles() {
+            return this.cssFiles.filter(file => !file.inline).map(file => {
+                var code = this.generateCss(file);
+
+                return {
+                    path: file.path,
+                    code: code,
+                    map: file.map
+                };
+            });
+        }
+
+        /**
+         * @param {Object} [file] One of #jsFiles, the first one is used by default.
+         * @returns {String} a resulting JS code with replacements based on JS AST. When #sourceMaps is enabled,
+         *                   a source map is stored in #map of the file.
+         */
+        generateJs(file) {
+            file = file || this.jsFiles[0];
+
+            var sourceMap = this.config.sourceMaps ? new sourcemap.SourceMapGenerator({ file: file.path }) : null,
+                code;
+
+            if (file.cache) return file.cache.code;
+
+            if (this.config.preserveFormatting) {
+                code = this.generateJsFromRanges(file, sourceMap);
+            } else {
+                code = astring.generate(file.ast, {
+                    generator: generator.default,
+                    indent: "    ",
+                    sourceMap: sourceMap
+                });
+            }
+
+            if (sourceMap) {
+                sourceMap.setSourceContent(file.path, file.text);
+                file.map = this.applyInputSourceMap(file, sourceMap);
+            }
+
+            if (file.hash && file.used && this.canCacheJs()) {
+                this.writeCache(file.hash + ".js", {
+                    code: code,
+                    used: file.used,
+                    count: file.count,
+                    warnings: file.warnings,
+                    classes: this.classes
+                });
+            }
+
+            return code;
+        }
+
+        /**
+         * Edits only changed strings in the original JS code, so formatting and comments stay untouched.
+         * @param {Object} file One of #jsFiles.
+         * @param {SourceMapGenerator} [sourceMap] Receives mappings for every line and every edited string.
+         * @returns {String} a resulting JS code.
+         */
+        generateJsFromRanges(file, sourceMap) {
+            var text = file.text,
+                edits = [],
+                chunks = [],
+                position = 0;
+
+            // #raw of untouched nodes could differ from the code anyway, e.g. acorn turns CRLF into LF in templates.
+            (file.edited || []).forEach(node => {
+                edits.push({ start: node.start, end: node.end, code: this.getRaw(node) });
+            });
+
+            // edits are collected in the order of replacements, not in source order.
+            edits.sort((a, b) => a.start - b.start).forEach(edit => {
+                chunks.push({ start: position, end: edit.start, code: text.slice(position, edit.start) });
+                chunks.push(edit);
+                position = edit.end;
+            });
+
+            chunks.push({ start: position, end: text.length, code: text.slice(position) });
+
+            if (sourceMap) this.addRangeMappings(file, chunks, sourceMap);
+
+            return chunks.map(chunk => chunk.code).join("");
+        }
+
+        /**
+         * Maps the start of every line of untouched code and the start of every edited string to the original code.
+         * @param {Object} file One of #jsFiles.
+         * @param {Object[]} chunks Parts of the resulting code like: {start: 0, end: 10, code: "..."}
+         * @param {SourceMapGenerator} sourceMap
+         */
+        addRangeMappings(file, chunks, sourceMap) {
+            var original = { line: 1, column: 0 },
+                generated = { line: 1, column: 0 },
+                advance = (position, code) => {
+                var lines = code.split("\n");
+
+                position.line += lines.length - 1;
+                position.column = (lines.length > 1 ? 0 : position.column) + lines[lines.length - 1].length;
+            },
+                addMapping = () => {
+                sourceMap.addMapping({
+                    source: file.path,
+                    original: { line: original.line, column: original.column },
+                    generated: { line: generated.line, column: generated.column }
+                });
+            };
+
+            chunks.forEach(chunk => {
+                var source = file.text.slice(chunk.start, chunk.end);
+
+                if (source != chunk.code) {
+                    addMapping();
+                    advance(original, source);
+                    advance(generated, chunk.code);
+                    return;
+                }
+
+                source.split("\n").forEach((line, i) => {
+                    if (i) {
+                        original.line++;
+                        generated.line++;
+                        original.column = generated.column = 0;
+                    }
+
+                    if (line.length) addMapping();
+
+                    original.column += line.length;
+                    generated.column += line.length;
+                });
+            });
+        }
+
+        /**
+         * @param {Object} file One of #cssFiles or #jsFiles, its #sourceMap is an input source map (e.g. from a transpiler).
+         * @param {SourceMapGenerator} sourceMap A source map of the resulting code.
+         * @return {Object} a source map which points to the original sources.
+         */
+        applyInputSourceMap(file, sourceMap) {
+            if (file.sourceMap) sourceMap.applySourceMap(new sourcemap.SourceMapConsumer(file.sourceMap), file.path);
+
+            return sourceMap.toJSON();
+        }
+
+        /**
+         * @returns {Object[]} resulting JS code of every file like: {path: "dist/js/app.js", code: "..."}
+         */
+        generateJsFiles() {
+            return this.jsFiles.filter(file => !file.inline).map(file => {
+                var code = this.generateJs(file);
+
+                return {
+                    path: file.path,
+                    code: code,
+                    map: file.map
+                };
+            });
+        }
+
+        /**
+         * @param {Object} [file] One of #htmlFiles, the first one is used by default.
+         * @returns {String} a resulting HTML code, where only changed attributes and inline <style> and <script>
+         *                   blocks are replaced.
+         */
+        generateHtml(file) {
+            file = file || this.htmlFiles[0];
+
+            var edits = file.edits.slice(),
+                result = "",
+                position = 0,
+                inline = inlineFile => inlineFile.html === file;
+
+            this.cssFiles.filter(inline).forEach(cssFile => {
+                edits.push({ start: cssFile.start, end: cssFile.end, code: this.generateCss(cssFile) });
+            });
+
+            this.jsFiles.filter(inline).forEach(jsFile => {
+                edits.push({ start: jsFile.start, end: jsFile.end, code: this.generateJs(jsFile) });
+            });
+
+            edits.sort((a, b) => a.start - b.start).forEach(edit => {
+                result += file.text.slice(position, edit.start) + edit.code;
+                position = edit.end;
+            });
+
+            return result + file.text.slice(position);
+        }
+
+        /**
+         * @returns {Object[]} resulting HTML code of every file like: {path: "dist/index.html", code: "..."}
+         */
+        generateHtmlFiles() {
+            return this.htmlFiles.map(file => {
+                return {
+                    path: file.path,
+                    code: this.generateHtml(file)
+                };
+            });
+        }
+
+        /**
+         * @param {Object} file One of #jsFiles.
+         * @return {String} a path where the resulting JS code of the file should be written to.
+         */
+        getJsOutPath(file) {
+            return this.getOutPath(file, this.config.jsIn, this.config.jsOut);
+        }
+
+        /**
+         * @param {Object} file One of #htmlFiles.
+         * @return {String} a path where the resulting HTML code of the file should be written to.
+         */
+        getHtmlOutPath(file) {
+            return this.getOutPath(file, this.config.htmlIn, this.config.htmlOut);
+        }
+
+        /**
+         * @param {Object} file
+         * @param {String|String[]} input A path, a glob or a list of paths/globs the file was read from.
+         * @param {String|Function} output A path of the resulting file when #input is a single path, otherwise
+         *                                 a directory. Could also be a function which receives a path of the source file
+         *                                 and returns a path of the resulting one.
+         * @return {String}
+         */
+        getOutPath(file, input, output) {
+            if (typeof output == "function") return output(file.path);
+
+            if (!Array.isArray(input) && !glob.hasMagic(input)) return output;
+
+            return path.join(output, path.relative(file.base, file.path));
+        }
+
+        /**
+         * @return {Number} number of replacments.
+         */
+        getReplacementsCount() {
+            return this.replacements.count;
+        }
+
+        /**
+         * @return {Object} statistics of the last run, e.g. #frequencySavings in bytes when #optimize is enabled.
+         */
+        getStats() {
+            return this.stats;
         }
     }
     exports.default = Replacer;
@@ -0,0 +1,76 @@
+(function (global, factory) {
+    if (typeof define === "function" && define.amd) {
+        define(["exports", "./assets.js"], factory);
+    } else if (typeof exports !== "undefined") {
+        factory(exports, require("./assets.js"));
+    } else {
+        var mod = {
+            exports: {}
+        };
+        factory(mod.exports, global.assets);
+        global.rollup = mod.exports;
+    }
+})(this, function (exports, replaceAssets) {
+    "use strict";
+
+    Object.defineProperty(exports, "__esModule", {
+        value: true
+    });
+
+    exports.default = config => {
+        config = Object.assign({
+            mapFile: "css-gsub-map.json"
+        }, config);
+
+        return {
+            name: "css-gsub",
+            enforce: "post",
+
+            generateBundle(options, bundle) {
+                var names = Object.keys(bundle).filter(name => replaceAssets.getType(name)),
+                    result;
+
+                result = replaceAssets.default(config, names.map(name => {
+                    var item = bundle[name];
+
+                    if (item.type == "chunk") return { name: name, code: item.code, map: item.map };
+
+                    return { name: name, code: item.source.toString() };
+                }));
+
+                if (!result) return;
+
+                result.assets.forEach(asset => {
+                    var item = bundle[asset.name],
+                        mapFile = bundle[asset.name + ".map"];
+
+                    if (item.type != "chunk") {
+                        item.source = asset.code;
+                        return;
+                    }
+
+                    item.code = asset.code;
+
+                    // chunk's map is chained with the resulting one, a separate .map file is emitted from it.
+                    if (asset.map) {
+                        Object.assign(item.map, asset.map);
+
+                        if (mapFile && mapFile.type == "asset") mapFile.source = JSON.stringify(item.map);
+                    }
+                });
+
+                result.warnings.forEach(warning => {
+                    this.warn((warning.file ? warning.file + ": " : "") + warning.message);
+                });
+
+                if (config.mapFile) {
+                    this.emitFile({
+                        type: "asset",
+                        fileName: config.mapFile,
+                        source: JSON.stringify(result.replacements, null, 2)
+                    });
+                }
+            }
+        };
+    };
+});
\ No newline at end of file
@@ -0,0 +1,175 @@
+var Replacer = require("./replacer.js"),
+    path = require("path"),
+    fs = require("fs");
+
+/**
+ * command-line options mapped to Replacer's config, options which could be given several times are lists.
+ */
+const OPTIONS = {
+    "--css": "cssIn",
+    "--js": "jsIn",
+    "--html": "htmlIn",
+    "--prefix": "prefix",
+    "--out-dir": "outDir",
+    "--map": "map"
+};
+
+const LISTS = ["cssIn", "jsIn", "htmlIn"];
+
+const USAGE = [
+    "Usage: css-gsub --css <glob> [--js <glob>] [--html <glob>] [options]",
+    "",
+    "Options:",
+    "  --css <glob>      CSS files, could be given several times",
+    "  --js <glob>       JS files, could be given several times",
+    "  --html <glob>     HTML files, could be given several times",
+    "  --prefix <value>  rename only classes starting with a prefix, e.g. d-",
+    "  --out-dir <dir>   write resulting files into a directory instead of overwriting them",
+    "  --map <file>      write the map of replacements as JSON",
+    "  --dry-run         print the map of replacements and size savings without writing anything",
+    "  --help            print this message",
+    "",
+    "Exit codes: 0 - success, 1 - files can't be read, parsed or written, 2 - invalid arguments."
+].join("\n");
+
+/**
+ * @param {String[]} argv
+ * @return {Object} parsed options like {cssIn: ["a.css"], prefix: "d-", dryRun: true}.
+ */
+function parseArgs(argv) {
+    var options = {};
+
+    for(var i=0, arg; arg=argv[i]; i++) {
+        var name = arg.split("=")[0],
+            key = OPTIONS[name],
+            value;
+
+        if(arg == "--dry-run" || arg == "--help") {
+            options[arg == "--help" ? "help" : "dryRun"] = true;
+            continue;
+        }
+
+        value = arg.indexOf("=") > -1 ? arg.slice(name.length + 1) : argv[++ i];
+
+        if(! key)
+            throw new Error("unknown option " + arg);
+
+        if(value === undefined)
+            throw new Error("option " + name + " requires a value");
+
+        if(LISTS.indexOf(key) > -1)
+            options[key] = (options[key] || []).concat(value);
+        else
+            options[key] = value;
+    }
+
+    return options;
+}
+
+/**
+ * @param {Object} file One of Replacer's files.
+ * @param {Object} options
+ * @return {String} a path where the resulting code should be written to.
+ */
+function getOutPath(file, options) {
+    if(! options.outDir)
+        return file.path;
+
+    return path.join(options.outDir, path.relative(file.base, file.path));
+}
+
+/**
+ * Writes a file creating missing directories.
+ * @param {String} out
+ * @param {String} code
+ */
+function write(out, code) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, code);
+}
+
+/**
+ * Runs css-gsub from the command line.
+ * @param {String[]} argv Arguments without "node" and a script name.
+ * @param {Object} [io] Streams to write to: {stdout, stderr}, process streams by default.
+ * @return {Number} an exit code.
+ */
+export default (argv, io) => {
+    var stdout = io && io.stdout || process.stdout,
+        stderr = io && io.stderr || process.stderr,
+        options,
+        replacer,
+        files,
+        before = 0,
+        after = 0;
+
+    try {
+        options = parseArgs(argv);
+    } catch(e) {
+        stderr.write("css-gsub: " + e.message + "\n\n" + USAGE + "\n");
+        return 2;
+    }
+
+    if(options.help) {
+        stdout.write(USAGE + "\n");
+        return 0;
+    }
+
+    if(! options.cssIn) {
+        stderr.write("css-gsub: --css is required\n\n" + USAGE + "\n");
+        return 2;
+    }
+
+    try {
+        replacer = new Replacer.default({
+            cssIn: options.cssIn,
+            jsIn: options.jsIn,
+            htmlIn: options.htmlIn,
+            prefix: options.prefix
+        });
+
+        replacer.run();
+
+        files = replacer.cssFiles.map((file) => ({ file: file, code: () => replacer.generateCss(file) }))
+            .concat(replacer.jsFiles.map((file) => ({ file: file, code: () => replacer.generateJs(file) })))
+            .concat(replacer.htmlFiles.map((file) => ({ file: file, code: () => replacer.generateHtml(file) })))
+            // inline <style> and <script> blocks are generated along with HTML.
+            .filter((item) => ! item.file.inline)
+            .map((item) => {
+                var code = item.code();
+
+                before += Buffer.byteLength(item.file.text);
+                after += Buffer.byteLength(code);
+
+                return { path: getOutPath(item.file, options), code: code };
+            });
+
+        replacer.warnings.forEach((warning) => {
+            stderr.write("css-gsub: warning: " + (warning.file ? warning.file + (warning.line ? ":" +
+                warning.line : "") + ": " : "") + warning.message + "\n");
+        });
+
+        if(options.dryRun) {
+            Object.keys(replacer.replacements.items).forEach((cls) => {
+                stdout.write(cls + " -> " + replacer.replacements.items[cls] + "\n");
+            });
+
+            stdout.write("\n" + files.length + " files, " + before + " -> " + after + " bytes, saved " +
+                (before - after) + " bytes\n");
+
+            return 0;
+        }
+
+        files.forEach((file) => write(file.path, file.code));
+
+        if(options.map)
+            write(options.map, JSON.stringify(replacer.replacements, null, 2));
+
+        stdout.write(files.length + " files, saved " + (before - after) + " bytes\n");
+    } catch(e) {
+        stderr.write("css-gsub: " + e.message + "\n");
+        return 1;
+    }
+
+    return 0;
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+var Replacer = require("./replacer.js");
+
+/**
+ * @param {Object} file Like {path, code, map}.
+ * @return {Object} a file in the format of Replacer#loadFiles.
+ */
+function toReplacerFile(file) {
+    return {
+        path: file.path,
+        base: file.base || ".",
+        text: file.code,
+        sourceMap: file.map
+    };
+}
+
+/**
+ * Replaces classes in CSS, JS and HTML code held in memory, without reading or writing any files.
+ * @example
+ *  var result = gsub({
+ *      css: [{ path: "main.css", code: ".d-profile {}" }],
+ *      js: [{ path: "app.js", code: "el.className = 'd-profile';" }],
+ *      prefix: "d-"
+ *  });
+ *  result.css[0].code; // "._ {}"
+ * @param {Object} options Replacer's config along with files.
+ * @param {Object[]} options.css CSS files like {path, code}, #map could hold an input source map.
+ * @param {Object[]} options.js JS files like {path, code, map}.
+ * @param {Object[]} options.html HTML files like {path, code}.
+ * @param {Object} options.replacementsInput A map of replacements of a previous run (not a path).
+ * @param {Array} options.reserved CSS files are given like {path, code} instead of paths.
+ * @param {String} options.cacheDir Is ignored, nothing is cached on disk.
+ * @return {Object} {css, js, html, replacements, warnings, stats}, where files are like {path, code, map}, #map is
+ *                  given when #sourceMaps is enabled.
+ */
+export default (options) => {
+    var replacer,
+        generate;
+
+    if(typeof options.replacementsInput == "string")
+        throw new Error("gulp-css-gsub: replacementsInput should be a map, files are not read by gsub()");
+
+    [].concat(options.reserved || []).forEach((item) => {
+        if(typeof item == "string" && /\.css$/.test(item))
+            throw new Error("gulp-css-gsub: reserved CSS files should be given like {path, code}, files are not read " +
+                "by gsub()");
+    });
+
+    replacer = new Replacer.default(Object.assign({}, options, {
+        cssFiles: (options.css || []).map(toReplacerFile),
+        jsFiles: (options.js || []).map(toReplacerFile),
+        htmlFiles: (options.html || []).map(toReplacerFile),
+        reserved: [].concat(options.reserved || []).map((item) => item && item.code != null ? toReplacerFile(item) : item),
+        replacementsOutput: null,
+        reportOutput: null,
+        cacheDir: null
+    }));
+
+    replacer.run();
+
+    // inline <style> and <script> blocks are generated along with HTML.
+    generate = (files, fn) => files.filter((file) => ! file.inline).map((file) => {
+        var code = fn.call(replacer, file);
+
+        return { path: file.path, code: code, map: file.map };
+    });
+
+    return {
+        css: generate(replacer.cssFiles, replacer.generateCss),
+        js: generate(replacer.jsFiles, replacer.generateJs),
+        html: generate(replacer.htmlFiles, replacer.generateHtml),
+        replacements: replacer.replacements,
+        warnings: replacer.warnings,
+        stats: replacer.getStats()
+    };
+};
\ No newline at end of file
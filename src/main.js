@@ -1,33 +1,232 @@
 var through = require("through2"),
+    PluginError = require("plugin-error"),
+    log = require("fancy-log"),
     Replacer = require("./replacer.js"),
-    File = require("vinyl"),
+    path = require("path"),
     fs = require("fs");
 
+const PLUGIN = "gulp-css-gsub";
+
+/**
+ * @param {File} file
+ * @return {Boolean} true if a vinyl file is a stylesheet.
+ */
+function isCss(file) {
+    return path.extname(file.path) == ".css";
+}
+
+/**
+ * @param {File} file
+ * @return {Boolean} true if a vinyl file is a script.
+ */
+function isJs(file) {
+    return path.extname(file.path) == ".js";
+}
+
+/**
+ * @param {File} file
+ * @return {Boolean} true if a vinyl file is an HTML page or a template.
+ */
+function isHtml(file) {
+    return /^\.html?$/.test(path.extname(file.path));
+}
+
+/**
+ * @param {File} file
+ * @return {Object} a file in the format of Replacer#loadFiles.
+ */
+function toReplacerFile(file) {
+    return {
+        path: file.path,
+        base: file.base,
+        text: file.contents.toString("utf8"),
+        sourceMap: file.sourceMap
+    };
+}
+
+/**
+ * Updates a vinyl file with the resulting code and source map.
+ * @param {File} file
+ * @param {String} code
+ * @param {Object} [map]
+ */
+function update(file, code, map) {
+    file.contents = new Buffer(code);
+
+    if(file.sourceMap && map) {
+        map.file = file.relative;
+        map.sources = map.sources.map((source) => source == file.path ? file.relative : source);
+        file.sourceMap = map;
+    }
+}
+
+/**
+ * Writes the resulting JS or HTML code to the file system, along with a source map when it's available.
+ * @param {String} out
+ * @param {String} code
+ * @param {Object} [map]
+ * @return {Promise}
+ */
+function write(out, code, map) {
+    return fs.promises.mkdir(path.dirname(out), { recursive: true }).then(() => {
+        var writes = [];
+
+        if(map) {
+            map.file = path.basename(out);
+            writes.push(fs.promises.writeFile(out + ".map", JSON.stringify(map)));
+            code += "\n//# sourceMappingURL=" + path.basename(out) + ".map";
+        }
+
+        writes.push(fs.promises.writeFile(out, code));
+
+        return Promise.all(writes);
+    });
+}
+
+/**
+ * @param {Error} error An error of parsing (see Replacer#createParseError), writing or any other error.
+ * @return {PluginError}
+ */
+function toPluginError(error) {
+    if(error instanceof PluginError)
+        return error;
+
+    return new PluginError(PLUGIN, error, {
+        fileName: error.fileName || error.path,
+        lineNumber: error.lineNumber
+    });
+}
+
+/**
+ * @param {Object} warning One of Replacer#warnings.
+ * @return {String} a warning like: "src/app.js:12: dynamic class name "d-item-..." (dynamic-class)".
+ */
+function formatWarning(warning) {
+    var location = warning.file ? warning.file + (warning.line ? ":" + warning.line : "") + ": " : "";
+
+    return location + warning.message + " (" + warning.type + ")";
+}
+
+/**
+ * Collects all CSS files (and JS/HTML files when #jsIn/#htmlIn are omitted) and replaces classes using one map of
+ * replacements once the stream ends.
+ * @param {Object} config
+ * @param {String|String[]} config.jsIn When omitted, JS files are expected to come through the stream along with CSS.
+ * @param {Function} config.isCss A predicate to detect CSS files, by default it checks ".css" extension.
+ *                                When #jsIn is given, every file is treated as CSS.
+ * @param {Function} config.isJs A predicate to detect JS files, by default it checks ".js" extension.
+ * @param {String|String[]} config.htmlIn When omitted, HTML files are expected to come through the stream.
+ * @param {Function} config.isHtml A predicate to detect HTML files, by default it checks ".html" and ".htm" extensions.
+ * @param {Boolean} config.sourceMaps Enabled automatically for files with source maps from gulp-sourcemaps. When
+ *                                    enabled, JS files written to #jsOut get a ".map" file next to them.
+ * @param {Boolean} config.failOnWarnings Should be true to emit a PluginError for the first of Replacer#warnings.
+ *                                       Otherwise warnings are logged. Either way they are written to
+ *                                       #reportOutput, when it's given.
+ * @return {Stream}
+ */
 export default (config) => {
+    var cssFiles = [],
+        jsFiles = [],
+        htmlFiles = [];
+
+    config = Object.assign({
+        isCss: isCss,
+        isJs: isJs,
+        isHtml: isHtml
+    }, config);
+
     return through.obj((file, encoding, callback) => {
-        config = Object.assign({
-            cssIn: file.path
-        }, config);
+        if(file.isNull())
+            return callback(null, file);
+
+        if(file.isStream())
+            return callback(new PluginError(PLUGIN, "Streams are not supported", { fileName: file.path }));
 
+        if(! config.htmlIn && config.isHtml(file))
+            htmlFiles.push(file);
+        else if(config.jsIn || config.isCss(file))
+            cssFiles.push(file);
+        else if(config.isJs(file))
+            jsFiles.push(file);
+        else
+            return callback(null, file);
+
+        callback();
+    }, function(callback) {
         var replacer,
-            cssCode,
-            jsCode;
+            writes = [];
+
+        if(! cssFiles.length) {
+            jsFiles.concat(htmlFiles).forEach((file) => this.push(file));
+            return callback();
+        }
+
+        // errors are passed to the callback instead of being thrown, so they don't crash gulp.watch.
+        try {
+            replacer = new Replacer.default(Object.assign({
+                cssFiles: cssFiles.map(toReplacerFile),
+                jsFiles: config.jsIn ? null : jsFiles.map(toReplacerFile),
+                htmlFiles: config.htmlIn ? null : htmlFiles.map(toReplacerFile),
+                sourceMaps: cssFiles.concat(jsFiles).some((file) => file.sourceMap)
+            }, config));
+
+            replacer.run();
+
+            replacer.cssFiles.forEach((cssFile, i) => {
+                var file = cssFiles[i];
+
+                // inline <style> blocks are generated along with HTML.
+                if(cssFile.inline)
+                    return ;
+
+                update(file, replacer.generateCss(cssFile), cssFile.map);
+                this.push(file);
+            });
+
+            replacer.jsFiles.forEach((jsFile, i) => {
+                var file = jsFiles[i],
+                    code;
+
+                if(jsFile.inline)
+                    return ;
+
+                code = replacer.generateJs(jsFile);
+
+                if(! file)
+                    return writes.push(write(replacer.getJsOutPath(jsFile), code, jsFile.map));
+
+                update(file, code, jsFile.map);
+                this.push(file);
+            });
+
+            replacer.htmlFiles.forEach((htmlFile, i) => {
+                var file = htmlFiles[i],
+                    code = replacer.generateHtml(htmlFile);
+
+                if(! file)
+                    return writes.push(write(replacer.getHtmlOutPath(htmlFile), code));
 
-        replacer = new Replacer.default(config);
-        replacer.run();
+                update(file, code);
+                this.push(file);
+            });
 
-        cssCode = replacer.generateCss(),
-        jsCode = replacer.generateJs();
+            replacer.writeReport();
+        } catch(e) {
+            return callback(toPluginError(e));
+        }
 
-        fs.writeFileSync(config.jsOut, jsCode);
+        // the stream ends only when every file is written.
+        Promise.all(writes).then(() => {
+            if(config.failOnWarnings && replacer.warnings.length) {
+                return callback(new PluginError(PLUGIN, formatWarning(replacer.warnings[0]), {
+                    fileName: replacer.warnings[0].file,
+                    lineNumber: replacer.warnings[0].line
+                }));
+            }
 
-        file = new File({
-            cwd: "/",
-            base: "/",
-            path: "/",
-            contents: new Buffer(cssCode)
-        });
+            replacer.warnings.forEach((warning) => log.warn(PLUGIN + ": " + formatWarning(warning)));
 
-        callback(null, file);
+            callback();
+        }, (e) => callback(toPluginError(e)));
     });
 };
\ No newline at end of file
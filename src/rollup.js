@@ -0,0 +1,71 @@
+var replaceAssets = require("./assets.js");
+
+/**
+ * Rollup (and Vite) plugin which replaces classes in all CSS, JS (including code-split chunks) and HTML files of
+ * a bundle using one map of replacements, and emits the map as an asset.
+ * @example
+ *  plugins: [cssGsub({ prefix: "d-", mapFile: "css-gsub-map.json" })]
+ * @param {Object} config Replacer's config.
+ * @param {String} config.mapFile A name of the emitted map of replacements, "css-gsub-map.json" by default.
+ *                                Could be false to not emit it.
+ * @return {Object}
+ */
+export default (config) => {
+    config = Object.assign({
+        mapFile: "css-gsub-map.json"
+    }, config);
+
+    return {
+        name: "css-gsub",
+        enforce: "post",
+
+        generateBundle(options, bundle) {
+            var names = Object.keys(bundle).filter((name) => replaceAssets.getType(name)),
+                result;
+
+            result = replaceAssets.default(config, names.map((name) => {
+                var item = bundle[name];
+
+                if(item.type == "chunk")
+                    return { name: name, code: item.code, map: item.map };
+
+                return { name: name, code: item.source.toString() };
+            }));
+
+            if(! result)
+                return ;
+
+            result.assets.forEach((asset) => {
+                var item = bundle[asset.name],
+                    mapFile = bundle[asset.name + ".map"];
+
+                if(item.type != "chunk") {
+                    item.source = asset.code;
+                    return ;
+                }
+
+                item.code = asset.code;
+
+                // chunk's map is chained with the resulting one, a separate .map file is emitted from it.
+                if(asset.map) {
+                    Object.assign(item.map, asset.map);
+
+                    if(mapFile && mapFile.type == "asset")
+                        mapFile.source = JSON.stringify(item.map);
+                }
+            });
+
+            result.warnings.forEach((warning) => {
+                this.warn((warning.file ? warning.file + ": " : "") + warning.message);
+            });
+
+            if(config.mapFile) {
+                this.emitFile({
+                    type: "asset",
+                    fileName: config.mapFile,
+                    source: JSON.stringify(result.replacements, null, 2)
+                });
+            }
+        }
+    };
+};
\ No newline at end of file
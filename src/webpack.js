@@ -0,0 +1,71 @@
+var replaceAssets = require("./assets.js");
+
+const NAME = "CssGsubPlugin";
+
+/**
+ * webpack plugin which replaces classes in all emitted CSS, JS (including code-split chunks) and HTML assets using
+ * one map of replacements, and emits the map as an asset.
+ * @example
+ *  new CssGsubPlugin({ prefix: "d-", mapFile: "css-gsub-map.json" })
+ */
+export default class CssGsubPlugin {
+
+    /**
+     * @param {Object} config Replacer's config.
+     * @param {String} config.mapFile A name of the emitted map of replacements, "css-gsub-map.json" by default.
+     *                                Could be false to not emit it.
+     */
+    constructor(config) {
+        this.config = Object.assign({
+            mapFile: "css-gsub-map.json"
+        }, config);
+    }
+
+    /**
+     * @param {Object} compiler webpack compiler (webpack 5).
+     */
+    apply(compiler) {
+        var webpack = compiler.webpack;
+
+        compiler.hooks.thisCompilation.tap(NAME, (compilation) => {
+            compilation.hooks.processAssets.tap({
+                name: NAME,
+                // before minimizers, which run at PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE.
+                stage: webpack.Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE
+            }, () => this.processAssets(compilation, webpack));
+        });
+    }
+
+    /**
+     * @param {Object} compilation
+     * @param {Object} webpack
+     */
+    processAssets(compilation, webpack) {
+        var assets = compilation.getAssets().filter((asset) => replaceAssets.getType(asset.name)),
+            result;
+
+        result = replaceAssets.default(this.config, assets.map((asset) => {
+            return { name: asset.name, code: asset.source.source().toString(), map: asset.source.map() };
+        }));
+
+        if(! result)
+            return ;
+
+        // the resulting map is chained with the asset's one, so it still points to the original sources.
+        result.assets.forEach((asset) => {
+            compilation.updateAsset(asset.name, asset.map ?
+                new webpack.sources.SourceMapSource(asset.code, asset.name, asset.map) :
+                new webpack.sources.RawSource(asset.code));
+        });
+
+        result.warnings.forEach((warning) => {
+            compilation.warnings.push(new webpack.WebpackError("css-gsub: " + (warning.file ? warning.file + ": " :
+                "") + warning.message));
+        });
+
+        if(this.config.mapFile) {
+            compilation.emitAsset(this.config.mapFile, new webpack.sources.RawSource(JSON.stringify(
+                result.replacements, null, 2)));
+        }
+    }
+}
\ No newline at end of file
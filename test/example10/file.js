@@ -0,0 +1,17 @@
+import React from "react";
+
+export default class Button extends React.Component {
+    static defaultProps = { active: false };
+    #clicks = 0;
+
+    async onClick() {
+        this.#clicks++;
+        await this.props.onClick?.(`clicked ${this.#clicks}`);
+    }
+
+    render() {
+        const cls = this.props.active ? "d-button d-button-active" : "d-button";
+
+        return <button className={cls} onClick={() => this.onClick()}>{this.props.label ?? "OK"}</button>;
+    }
+}
@@ -0,0 +1,3 @@
+const button = (active) => `<button class="d-btn ${active ? "d-on" : ""}">OK</button>`;
+const card = html`<div class="d-card">${button(true)}</div>`;
+const Title = () => <h1 className="d-title">d-title</h1>;
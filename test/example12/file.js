@@ -0,0 +1,5 @@
+/*! Dialog v1.0.0 | MIT License */
+const dialog = /*#__PURE__*/ createDialog({
+    cls:   'd-dialog',     // root element
+    title: `<h1 class="d-dialog-title">${ "Hello" }</h1>`
+});
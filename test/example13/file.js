@@ -0,0 +1,2 @@
+var rare = "d-rare";
+var list = ["d-common", "d-common", "d-common", "d-common", "d-common"];
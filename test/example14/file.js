@@ -0,0 +1,6 @@
+var sidebar = document.getElementById("d-sidebar");
+
+sidebar.style.setProperty("--d-accent", "blue");
+sidebar.style.animationName = "d-fade";
+sidebar.className = "d-layout";
+document.querySelector("#d-sidebar > .d-layout-main").style.gridArea = "d-nav";
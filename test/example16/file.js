@@ -0,0 +1,12 @@
+var el = document.body;
+
+el.classList.add("left");
+el.classList.toggle(el.hidden ? "active" : "user");
+el.className = "user active";
+el.innerHTML = '<b class="left">user</b>';
+el.classList.remove("leftover");
+el.innerHTML = '<i class="user-profile left"></i>';
+$(".active").addClass("user");
+cx("left", {"active": true});
+
+alert("Hello, user! Turn left.");
@@ -0,0 +1,5 @@
+var list = document.querySelector("#d-main .d-list > .d-item:not(.d-item-active)");
+
+list.closest(".d-list").matches("[class^=\"d-item\"]");
+$("<li class='d-item'>").appendTo(".d-list");
+document.querySelectorAll(".d-list." + name);
@@ -0,0 +1,4 @@
+var card = document.querySelector(".d-card");
+
+card.classList.add("d-card-" + card.dataset.state);
+card.classList.add("d-ghost");
@@ -0,0 +1,3 @@
+var menu = document.querySelector(".header .js-menu");
+
+menu.className = "js-menu u-hidden header";
@@ -0,0 +1,5 @@
+var baseCls = "d-card";
+
+el.className = baseCls + " " + baseCls + "__title";
+el.firstChild.className = baseCls + "-inner";
+el.classList.add("d-card__title--active");
@@ -0,0 +1,3 @@
+var menu = "d-menu";
+
+menu = ;
@@ -0,0 +1 @@
+document.querySelector(".d-footer").classList.add("d-" + name);
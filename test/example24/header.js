@@ -0,0 +1 @@
+document.querySelector(".d-header").className = "d-header d-menu";
@@ -0,0 +1 @@
+el.className = "foo bar";
@@ -0,0 +1,2 @@
+var el = document.createElement("div");
+el.className = "d-route-profile d-header";
@@ -0,0 +1 @@
+document.body.innerHTML = '<div class="d-header"></div><div class="d-footer"></div>';
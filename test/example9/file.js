@@ -0,0 +1 @@
+document.body.className = "d-page d-mobile-menu d-grid d-grid-print d-firefox";
@@ -1,9 +1,26 @@
 var assert = require("assert"),
-    Replacer = require("../lib/replacer.js"),
-    fs = require("fs");
+    Replacer = require("../lib/replacer.js").default,
+    cssGsub = require("../lib/main.js").default,
+    cli = require("../lib/cli.js").default,
+    gsub = require("../lib/gsub.js").default,
+    CssGsubPlugin = require("../lib/webpack.js").default,
+    rollupCssGsub = require("../lib/rollup.js").default,
+    File = require("vinyl"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path");
+
+function createFile(path) {
+    return new File({
+        cwd: "./",
+        base: "./test",
+        path: path,
+        contents: fs.readFileSync(path)
+    });
+}
 
 describe("replacements", function () {
-    it("should replace 'd-example' with 'a0'", function () {
+    it("should replace 'd-example' with '_'", function () {
         var replacer,
             css,
             js;
@@ -18,8 +35,9 @@ describe("replacements", function () {
         css = replacer.generateCss();
         js = replacer.generateJs();
 
-        assert.equal(true, css.indexOf("a0") > -1);
-        assert.equal(true, css.indexOf("a0") > -1);
+        assert.equal("_", replacer.replacements.items["d-example"]);
+        assert.equal(true, css.indexOf("._ {") > -1);
+        assert.equal(true, js.indexOf("'_'") > -1);
     });
 
     it("should make 5 replacements", function () {
@@ -102,6 +120,1120 @@ describe("replacements", function () {
 
         assert.equal(true, true);
     });
+
+    it("should replace classes inside nested at-rules", function () {
+        var replacer,
+            css,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example9/file.css",
+            jsIn: "./test/example9/file.js"
+        });
+
+        replacer.run();
+
+        css = replacer.generateCss();
+        js = replacer.generateJs();
+
+        assert.equal(5, replacer.classes.length);
+        assert.equal(5, replacer.getReplacementsCount());
+        assert.equal(-1, css.indexOf("d-"));
+        assert.equal(-1, css.indexOf("undefined"));
+        assert.equal(true, css.indexOf("." + replacer.replacements.items["d-grid-print"] + " {") > -1);
+        assert.equal(-1, js.indexOf("d-"));
+    });
+
+    it("should parse modern JS with JSX", function () {
+        var replacer,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example10/file.css",
+            jsIn: "./test/example10/file.js",
+            prefix: "d-",
+            parserOptions: {
+                jsx: true
+            }
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        js = replacer.generateJs();
+
+        assert.equal(3, replacer.getReplacementsCount());
+        assert.equal(-1, js.indexOf("d-button"));
+        assert.equal(true, js.indexOf("<button className={cls} onClick={() => this.onClick()}>") > -1);
+        assert.equal(true, js.indexOf("this.props.onClick?.(`clicked ${this.#clicks}`)") > -1);
+    });
+
+    it("should parse legacy scripts which aren't valid modules", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".d-a { color: red; }" }],
+            js: [{ path: "app.js", code: "<!-- legacy\nvar await = 010;\nwith (el) { className = 'd-a'; }" }],
+            prefix: "d-",
+            preserveFormatting: true
+        });
+
+        assert.equal("<!-- legacy\nvar await = 010;\nwith (el) { className = '_'; }", result.js[0].code);
+        assert.throws(function() {
+            gsub({
+                css: [{ path: "main.css", code: ".d-a { color: red; }" }],
+                js: [{ path: "app.js", code: "with (el) {}" }],
+                parserOptions: { sourceType: "module" }
+            });
+        }, /can't parse app.js/);
+    });
+
+    it("should replace classes in template literals and JSX", function () {
+        var replacer,
+            items,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example11/file.css",
+            jsIn: "./test/example11/file.js",
+            prefix: "d-",
+            parserOptions: {
+                jsx: true
+            }
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        items = replacer.replacements.items;
+        js = replacer.generateJs();
+
+        assert.equal(5, replacer.getReplacementsCount());
+        assert.equal(-1, js.indexOf("d-"));
+        assert.equal(true, js.indexOf('`<button class="' + items["d-btn"] + " ${") > -1);
+        assert.equal(true, js.indexOf('html`<div class="' + items["d-card"] + '">') > -1);
+        assert.equal(true, js.indexOf('<h1 className="' + items["d-title"] + '">' + items["d-title"] + "</h1>") > -1);
+    });
+
+    it("should keep formatting and comments of JS code", function () {
+        var replacer,
+            items,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example12/file.css",
+            jsIn: "./test/example12/file.js",
+            prefix: "d-",
+            preserveFormatting: true
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        items = replacer.replacements.items;
+        js = replacer.generateJs();
+
+        assert.equal(
+            fs.readFileSync("./test/example12/file.js", "utf8")
+                .replace("d-dialog-title", items["d-dialog-title"])
+                .replace("d-dialog", items["d-dialog"]),
+            js
+        );
+    });
+
+    it("should keep formatting of template literals with changed expressions", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".d-a, .d-b, .d-c { color: red; }" }],
+            js: [{ path: "app.js", code: "html = `<b class=\"d-a\">${x ? \"d-b\" : \"\"}</b><i class=\"d-c\"></i>`;" }],
+            prefix: "d-",
+            preserveFormatting: true
+        }),
+            items = result.replacements.items;
+
+        assert.equal(
+            "html = `<b class=\"" + items["d-a"] + "\">${x ? \"" + items["d-b"] + "\" : \"\"}</b><i class=\"" +
+                items["d-c"] + "\"></i>`;",
+            result.js[0].code
+        );
+    });
+
+    it("should keep CRLF line breaks of untouched template literals", function () {
+        var code = "html = `<p>\r\n</p>`;\r\nel.className = 'd-a';\r\n",
+            result = gsub({
+                css: [{ path: "main.css", code: ".d-a { color: red; }" }],
+                js: [{ path: "app.js", code: code }],
+                prefix: "d-",
+                preserveFormatting: true
+            });
+
+        assert.equal(code.replace("d-a", "_"), result.js[0].code);
+    });
+
+    it("should replace selectors in string literals keeping formatting", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".d-list .d-item { color: red; }" }],
+            js: [{ path: "app.js", code: "el.querySelector('.d-list > .d-item');" }],
+            prefix: "d-",
+            preserveFormatting: true
+        }),
+            items = result.replacements.items;
+
+        assert.equal("el.querySelector('." + items["d-list"] + " > ." + items["d-item"] + "');", result.js[0].code);
+    });
+
+    it("should generate source maps chained with input source maps", function () {
+        var SourceMapConsumer = require("source-map").SourceMapConsumer,
+            SourceMapGenerator = require("source-map").SourceMapGenerator,
+            inputMap = new SourceMapGenerator({ file: "file.css" }),
+            replacer,
+            result,
+            consumer;
+
+        inputMap.addMapping({
+            source: "file.scss",
+            original: { line: 10, column: 0 },
+            generated: { line: 5, column: 0 }
+        });
+
+        replacer = new Replacer({
+            cssFiles: [{
+                path: "./test/example12/file.css",
+                text: fs.readFileSync("./test/example12/file.css", "utf8"),
+                sourceMap: inputMap.toJSON()
+            }],
+            jsIn: "./test/example12/file.js",
+            prefix: "d-",
+            sourceMaps: true
+        });
+
+        replacer.run();
+
+        result = replacer.generateCssFiles()[0];
+        consumer = new SourceMapConsumer(result.map);
+
+        assert.equal(true, result.map.sources.indexOf("file.scss") > -1);
+        assert.equal(10, consumer.originalPositionFor({ line: 5, column: 0 }).line);
+
+        result = replacer.generateJsFiles()[0];
+        consumer = new SourceMapConsumer(result.map);
+
+        assert.deepEqual(["./test/example12/file.js"], result.map.sources);
+        assert.equal(3, consumer.originalPositionFor({ line: 2, column: 9 }).line);
+    });
+
+    it("should map edited strings when formatting is preserved", function () {
+        var SourceMapConsumer = require("source-map").SourceMapConsumer,
+            replacer,
+            result,
+            position;
+
+        replacer = new Replacer({
+            cssIn: "./test/example12/file.css",
+            jsIn: "./test/example12/file.js",
+            prefix: "d-",
+            preserveFormatting: true,
+            sourceMaps: true
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        result = replacer.generateJsFiles()[0];
+        position = new SourceMapConsumer(result.map).originalPositionFor({ line: 4, column: 29 });
+
+        assert.equal(4, position.line);
+        assert.equal(39, position.column);
+    });
+
+    it("should keep names from replacementsInput", function () {
+        var replacer,
+            items;
+
+        replacer = new Replacer({
+            cssIn: "./test/example7/file.css",
+            jsIn: "./test/example7/js/**/*.js",
+            prefix: "d-",
+            replacementsInput: {
+                items: {
+                    "d-sidebar": "_",
+                    "d-removed": "a"
+                }
+            }
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        items = replacer.replacements.items;
+
+        assert.equal("_", items["d-sidebar"]);
+        assert.equal("a", items["d-removed"]);
+        assert.equal("b", items["d-header"]);
+        assert.equal("c", items["d-route-profile"]);
+    });
+
+    it("should generate names from hashes of class names", function () {
+        var create = function() {
+                var replacer = new Replacer({
+                    cssIn: "./test/example7/file.css",
+                    jsIn: "./test/example7/js/**/*.js",
+                    prefix: "d-",
+                    naming: "hash",
+                    hashLength: 4
+                });
+
+                replacer.run();
+                return replacer;
+            },
+            items = create().replacements.items;
+
+        assert.deepEqual(items, create().replacements.items);
+
+        Object.keys(items).forEach(function(cls) {
+            assert.equal(true, /^[a-z][a-z0-9]{3}$/.test(items[cls]));
+        });
+    });
+
+    it("should use a custom function to generate names", function () {
+        var replacer;
+
+        replacer = new Replacer({
+            cssIn: "./test/example7/file.css",
+            jsIn: "./test/example7/js/**/*.js",
+            prefix: "d-",
+            naming: function(cls, index) {
+                // "1" is rejected as an invalid class name
+                return index == 1 ? "1" : "x" + index;
+            }
+        });
+
+        replacer.run();
+
+        assert.deepEqual({
+            "d-header": "x0",
+            "d-sidebar": "x2",
+            "d-route-profile": "x3"
+        }, replacer.replacements.items);
+    });
+
+    it("should give the shortest names to the most frequent classes", function () {
+        var replacer;
+
+        replacer = new Replacer({
+            cssIn: "./test/example13/file.css",
+            jsIn: "./test/example13/file.js",
+            prefix: "d-",
+            optimize: true,
+            naming: function(cls, index) {
+                return new Array(index + 2).join("x");
+            }
+        });
+
+        replacer.run();
+
+        assert.equal("x", replacer.replacements.items["d-common"]);
+        assert.equal("xx", replacer.replacements.items["d-rare"]);
+        assert.equal(4, replacer.getStats().frequencySavings);
+        assert.equal(6, replacer.getReplacementsCount());
+    });
+
+    it("should rename IDs, custom properties, keyframes and grid areas", function () {
+        var replacer,
+            replacements,
+            css,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example14/file.css",
+            jsIn: "./test/example14/file.js",
+            prefix: "d-",
+            renameIds: true,
+            renameCustomProperties: true,
+            renameKeyframes: true,
+            renameGridAreas: true
+        });
+
+        replacer.run();
+
+        css = replacer.generateCss();
+        js = replacer.generateJs();
+        replacements = replacer.replacements;
+
+        assert.deepEqual(["d-layout", "d-layout-main"], Object.keys(replacements.items).sort());
+        assert.deepEqual(["d-sidebar"], Object.keys(replacements.ids));
+        assert.deepEqual(["d-accent"], Object.keys(replacements.customProperties));
+        assert.deepEqual(["d-fade"], Object.keys(replacements.keyframes));
+        assert.deepEqual(["d-head", "d-main", "d-nav"], Object.keys(replacements.gridAreas).sort());
+        assert.equal(false, /\bd-/.test(css));
+        assert.equal(false, /\bd-/.test(js));
+        assert.equal(true, css.indexOf("@keyframes " + replacements.keyframes["d-fade"] + " {") > -1);
+        assert.equal(true, css.indexOf("color: var(--" + replacements.customProperties["d-accent"] + ")") > -1);
+        assert.equal(true, js.indexOf("getElementById('" + replacements.ids["d-sidebar"] + "')") > -1);
+        assert.equal(true, js.indexOf("gridArea = '" + replacements.gridAreas["d-nav"] + "'") > -1);
+    });
+
+    it("should replace classes and IDs in HTML files", function () {
+        var replacer,
+            items,
+            ids,
+            html;
+
+        replacer = new Replacer({
+            cssIn: "./test/example15/file.css",
+            htmlIn: "./test/example15/file.html",
+            prefix: "d-",
+            renameIds: true
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        items = replacer.replacements.items;
+        ids = replacer.replacements.ids;
+        html = replacer.generateHtml();
+
+        assert.equal(true, html.indexOf('<nav class="' + items["d-nav"] + '  other">') > -1);
+        assert.equal(true, html.indexOf('<label for="' + ids["d-search"] + '">') > -1);
+        assert.equal(true, html.indexOf('<input id="' + ids["d-search"] + '">') > -1);
+        assert.equal(true, html.indexOf("." + items["d-banner"] + " {") > -1);
+        assert.equal(true, html.indexOf('<a class="' + items["d-nav-item"] + '"></a>') > -1);
+        assert.equal(true, html.indexOf('<script type="text/template"><div class="d-nav"></div></script>') > -1);
+        assert.equal(true, html.indexOf("getElementById('" + ids["d-search"] + "')") > -1);
+        assert.equal(true, html.indexOf("<!DOCTYPE html>\n<html>\n<head>\n    <style>") == 0);
+    });
+
+    it("should replace classes only in class-related code in precise mode", function () {
+        var replacer,
+            items,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example16/file.css",
+            jsIn: "./test/example16/file.js",
+            precise: true,
+            classCalls: ["cx"]
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        items = replacer.replacements.items;
+        js = replacer.generateJs();
+
+        assert.equal(true, js.indexOf("el.classList.add('" + items.left + "')") > -1);
+        assert.equal(true, js.indexOf("el.hidden ? '" + items.active + "' : '" + items.user + "'") > -1);
+        assert.equal(true, js.indexOf("el.className = '" + items.user + " " + items.active + "'") > -1);
+        assert.equal(true, js.indexOf("'<b class=\"" + items.left + "\">user</b>'") > -1);
+        assert.equal(true, js.indexOf("el.classList.remove('leftover')") > -1);
+        assert.equal(true, js.indexOf("'<i class=\"user-profile " + items.left + "\"></i>'") > -1);
+        assert.equal(true, js.indexOf("$('." + items.active + "').addClass('" + items.user + "')") > -1);
+        assert.equal(true, js.indexOf("cx('" + items.left + "', {\n    '" + items.active + "': true\n})") > -1);
+        assert.equal(true, js.indexOf("alert('Hello, user! Turn left.')") > -1);
+    });
+
+    it("should give names by frequency only to classes which precise mode renames", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".left { color: red; }\n.right { color: blue; }" }],
+            js: [{ path: "app.js", code: "el.classList.add('left');\nalert('right right right');" }],
+            precise: true,
+            optimize: true
+        });
+
+        assert.equal("_", result.replacements.items.left);
+        assert.equal(undefined, result.replacements.items.right);
+        assert.equal("._ {\n  color: red;\n}", result.css[0].code);
+        assert.equal(true, result.js[0].code.indexOf("alert('right right right')") > -1);
+    });
+
+    it("should replace classes in selectors and report attribute selectors", function () {
+        var replacer,
+            items,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example17/file.css",
+            jsIn: "./test/example17/file.js",
+            prefix: "d-",
+            renameIds: true
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        items = replacer.replacements.items;
+        js = replacer.generateJs();
+
+        assert.equal(true, js.indexOf("querySelector('#" + replacer.replacements.ids["d-main"] + " ." + items["d-list"] +
+            " > ." + items["d-item"] + ":not(." + items["d-item-active"] + ")')") > -1);
+        assert.equal(true, js.indexOf("matches('[class^=\"d-item\"]')") > -1);
+        assert.equal(true, js.indexOf("$('<li class=\\'" + items["d-item"] + "\\'>')") > -1);
+        assert.equal(1, replacer.warnings.length);
+        assert.equal(3, replacer.warnings[0].line);
+        assert.equal(true, replacer.warnings[0].message.indexOf('[class^="d-item"]') > -1);
+    });
+
+    it("should report dropped rules, attribute selectors, dynamic and JS-only classes", function () {
+        var replacer,
+            types;
+
+        replacer = new Replacer({
+            cssIn: "./test/example18/file.css",
+            jsIn: "./test/example18/file.js",
+            prefix: "d-"
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        types = replacer.warnings.map(function(warning) {
+            return warning.type + ":" + warning.line;
+        });
+
+        assert.deepEqual([
+            "class-attribute-selector:9",
+            "dynamic-class:3",
+            "js-only-class:3",
+            "js-only-class:4",
+            "dropped-rule:5"
+        ], types);
+        assert.equal("./test/example18/file.css", replacer.warnings[4].file);
+        assert.equal(true, replacer.warnings[4].message.indexOf(".d-unused") > -1);
+    });
+
+    it("should prune unused rules and empty at-rules except safelisted classes", function () {
+        var replacer,
+            css;
+
+        replacer = new Replacer({
+            cssIn: "./test/example19/file.css",
+            jsIn: "./test/example19/file.js",
+            prefix: "d-",
+            safelist: ["d-icon-*", /^d-theme-/]
+        });
+
+        replacer.run();
+
+        css = replacer.generateCss();
+
+        assert.equal(-1, css.indexOf("d-unused"));
+        assert.equal(-1, css.indexOf("@media"));
+        assert.equal(-1, css.indexOf(" {\n  color: blue"));
+        assert.equal(true, css.indexOf(".d-icon-home {") > -1);
+        assert.equal(true, css.indexOf(".d-theme-dark {") > -1);
+        assert.equal(72, replacer.getStats().prunedBytes);
+    });
+
+    it("should prune unused rules of classes from replacementsInput", function () {
+        var replacer,
+            css;
+
+        replacer = new Replacer({
+            cssIn: "./test/example19/file.css",
+            jsIn: "./test/example19/file.js",
+            prefix: "d-",
+            replacementsInput: { items: { "d-unused": "z" } }
+        });
+
+        replacer.run();
+
+        css = replacer.generateCss();
+
+        assert.equal(-1, css.indexOf(".z "));
+        assert.equal(-1, css.indexOf("@media"));
+        assert.equal(true, replacer.getStats().prunedBytes > 0);
+    });
+
+    it("should rename only whole class names in HTML class attributes", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".left { color: red; }" }],
+            html: [{ path: "index.html", code: "<div class=\"leftover left\"></div>" }]
+        });
+
+        assert.equal("<div class=\"leftover _\"></div>", result.html[0].code);
+    });
+
+    it("should not fail on selectors without classes", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".d-a { color: red; }\n[data-state=\"undefined\"] { color: blue; }" }],
+            js: [{ path: "app.js", code: "el.className = 'd-a';" }],
+            prefix: "d-"
+        });
+
+        assert.equal(true, result.css[0].code.indexOf("._ {") == 0);
+        assert.equal(true, result.css[0].code.indexOf("[data-state=\"undefined\"] {") > -1);
+    });
+
+    it("should keep unused rules when pruning is disabled", function () {
+        var replacer,
+            css;
+
+        replacer = new Replacer({
+            cssIn: "./test/example19/file.css",
+            jsIn: "./test/example19/file.js",
+            prefix: "d-",
+            prune: false
+        });
+
+        replacer.run();
+
+        css = replacer.generateCss();
+
+        assert.equal(true, css.indexOf("._ {") > -1);
+        assert.equal(true, css.indexOf("@media (max-width: 600px) {\n  .d-unused {") > -1);
+        assert.equal(0, replacer.getStats().prunedBytes);
+    });
+
+    it("should keep rules with \"undefined\" in selectors when pruning is disabled", function () {
+        var result = gsub({
+            css: [{ path: "main.css", code: ".d-a[data-v=undefined] { color: red; }" }],
+            prefix: "d-",
+            prune: false
+        });
+
+        assert.equal(".d-a[data-v=undefined] {\n  color: red;\n}", result.css[0].code);
+        assert.deepEqual([], result.warnings);
+    });
+
+    it("should skip reserved and adblock-sensitive names", function () {
+        var names = ["ad", "banner", "w1", "x9", "ok", "fine", "nice"],
+            replacer;
+
+        replacer = new Replacer({
+            cssIn: "./test/example20/file.css",
+            jsIn: "./test/example20/file.js",
+            prefix: "d-",
+            reserved: ["w1", /^x/, "./test/example20/widget.css"],
+            naming: function(cls, index) {
+                return names[index];
+            }
+        });
+
+        replacer.run();
+
+        assert.equal("fine", replacer.replacements.items["d-header"]);
+        assert.equal("nice", replacer.replacements.items["d-footer"]);
+        assert.equal(false, replacer.isNameAvailable("ads"));
+        assert.equal(false, replacer.isNameAvailable("widget-title"));
+        assert.equal(true, replacer.isNameAvailable("adz"));
+    });
+
+    it("should apply the same match predicate to CSS and JS", function () {
+        [/^(js|u)-/g, function(cls) { return /^(js|u)-/.test(cls); }, ["js-*", "u-hidden"]].forEach(function(match) {
+            var replacer,
+                items,
+                css,
+                js;
+
+            replacer = new Replacer({
+                cssIn: "./test/example21/file.css",
+                jsIn: "./test/example21/file.js",
+                match: match
+            });
+
+            replacer.run();
+
+            items = replacer.replacements.items;
+            css = replacer.generateCss();
+            js = replacer.generateJs();
+
+            assert.deepEqual(["js-menu", "u-hidden"], Object.keys(items).sort());
+            assert.equal(true, css.indexOf("." + items["u-hidden"] + ",\n.header ." + items["js-menu"] + " {") > -1);
+            assert.equal(true, js.indexOf("querySelector('.header ." + items["js-menu"] + "')") > -1);
+            assert.equal(true, js.indexOf("'" + items["js-menu"] + " " + items["u-hidden"] + " header'") > -1);
+        });
+    });
+
+    it("should keep BEM structure of renamed classes", function () {
+        var replacer,
+            items,
+            parts,
+            css,
+            js;
+
+        replacer = new Replacer({
+            cssIn: "./test/example22/file.css",
+            jsIn: "./test/example22/file.js",
+            prefix: "d-",
+            bem: { suffixes: ["-inner"] }
+        });
+
+        replacer.run();
+
+        items = replacer.replacements.items;
+        parts = replacer.replacements.parts;
+        css = replacer.generateCss();
+        js = replacer.generateJs();
+
+        assert.equal(items["d-card"] + "__" + parts.title, items["d-card__title"]);
+        assert.equal(items["d-card"] + "__" + parts.title + "--" + parts.active, items["d-card__title--active"]);
+        assert.equal(items["d-card"] + "-inner", items["d-card-inner"]);
+        assert.equal(true, css.indexOf("." + items["d-card__title"] + " {") > -1);
+        assert.equal(true, css.indexOf("." + items["d-card-inner"] + " {") > -1);
+        assert.equal(-1, css.indexOf("d-list__title"));
+        assert.equal(true, js.indexOf("baseCls + '__" + parts.title + "'") > -1);
+        assert.equal(true, js.indexOf("baseCls + '-inner'") > -1);
+    });
+
+    it("should reuse cached results of unchanged files and keep names stable", function () {
+        var cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "css-gsub-cache-")),
+            read = function(file) {
+                return { path: "./test/example24/" + file, text: fs.readFileSync("./test/example24/" + file, "utf8") };
+            },
+            build = function(jsFiles) {
+                var replacer = new Replacer({
+                    cssFiles: [read("file.css")],
+                    jsFiles: jsFiles,
+                    prefix: "d-",
+                    cacheDir: cacheDir
+                });
+
+                replacer.run();
+
+                return {
+                    replacer: replacer,
+                    css: replacer.generateCss(),
+                    js: replacer.jsFiles.map(function(file) { return replacer.generateJs(file); })
+                };
+            },
+            first = build([read("header.js"), read("footer.js")]),
+            second = build([read("header.js"), read("footer.js")]),
+            footer = read("footer.js"),
+            third;
+
+        footer.text = footer.text.replace("d-footer", "d-menu");
+        third = build([read("header.js"), footer]);
+
+        assert.equal(0, first.replacer.getStats().cacheHits);
+        assert.equal(2, second.replacer.getStats().cacheHits);
+        assert.deepEqual(first.js, second.js);
+        assert.equal(first.css, second.css);
+        assert.equal(first.replacer.getReplacementsCount(), second.replacer.getReplacementsCount());
+        assert.deepEqual(first.replacer.warnings, second.replacer.warnings);
+
+        assert.equal(1, third.replacer.getStats().cacheHits);
+        assert.equal(first.js[0], third.js[0]);
+        assert.equal(first.replacer.replacements.items["d-menu"], third.replacer.replacements.items["d-menu"]);
+        assert.equal(true, third.js[1].indexOf("'." + first.replacer.replacements.items["d-menu"] + "'") > -1);
+    });
+
+    it("should not reuse cached JS results when CSS classes change", function () {
+        var cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "css-gsub-cache-")),
+            css = fs.readFileSync("./test/example25/file.css", "utf8"),
+            build = function(cssText) {
+                var replacer = new Replacer({
+                    cssFiles: [{ path: "./test/example25/file.css", text: cssText }],
+                    jsIn: "./test/example25/file.js",
+                    cacheDir: cacheDir
+                });
+
+                replacer.run();
+
+                return {
+                    replacer: replacer,
+                    css: replacer.generateCss(),
+                    js: replacer.generateJs()
+                };
+            },
+            first = build(css),
+            second = build(css + "\n.bar {\n    color: blue;\n}\n"),
+            items = second.replacer.replacements.items;
+
+        assert.equal("el.className = '" + first.replacer.replacements.items.foo + " bar';", first.js.trim());
+        assert.equal(0, second.replacer.getStats().cacheHits);
+        assert.equal("el.className = '" + items.foo + " " + items.bar + "';", second.js.trim());
+        assert.equal(true, second.css.indexOf("." + items.bar + " {") > -1);
+    });
+
+    it("should share replacements across multiple JS files", function () {
+        var replacer,
+            files;
+
+        replacer = new Replacer({
+            cssIn: "./test/example7/file.css",
+            jsIn: "./test/example7/js/**/*.js",
+            jsOut: "./test/example7/result",
+            prefix: "d-"
+        });
+
+        replacer.run();
+        replacer.generateCss();
+
+        files = replacer.generateJsFiles();
+
+        assert.equal(2, files.length);
+        assert.equal(true, files[0].code.indexOf(replacer.replacements.items["d-header"]) > -1);
+        assert.equal(true, files[1].code.indexOf(replacer.replacements.items["d-header"]) > -1);
+        assert.equal(3, Object.keys(replacer.replacements.items).length);
+        assert.equal("test/example7/result/routes/profile.js", replacer.getJsOutPath(replacer.jsFiles[1]));
+    });
+
+    it("should throw when a glob matches no files", function () {
+        assert.throws(function() {
+            new Replacer({
+                cssIn: "./test/example7/file.css",
+                jsIn: "./test/example7/nope/**/*.js",
+                prefix: "d-"
+            }).run();
+        }, /no files match "\.\/test\/example7\/nope\/\*\*\/\*\.js"/);
+    });
+});
+
+describe("gulp plugin", function() {
+    it("should replace classes in CSS and JS files coming through the stream", function (done) {
+        var stream = cssGsub({ prefix: "d-" }),
+            files = [];
+
+        stream.on("data", function(file) {
+            files.push(file);
+        });
+
+        stream.on("end", function() {
+            assert.equal(2, files.length);
+            assert.equal("./test/example1/file.css", files[0].path);
+            assert.equal(true, files[0].contents.toString().indexOf("._ {") > -1);
+            assert.equal("./test/example1/file.js", files[1].path);
+            assert.equal("./test", files[1].base);
+            assert.equal(true, files[1].contents.toString().indexOf("'_'") > -1);
+            done();
+        });
+
+        stream.write(createFile("./test/example1/file.js"));
+        stream.write(createFile("./test/example1/file.css"));
+        stream.end();
+    });
+
+    it("should share one map of replacements across multiple CSS files", function (done) {
+        var stream = cssGsub({ prefix: "d-" }),
+            files = [];
+
+        stream.on("data", function(file) {
+            files.push(file);
+        });
+
+        stream.on("end", function() {
+            var header = files[0].contents.toString(),
+                footer = files[1].contents.toString(),
+                js = files[2].contents.toString();
+
+            assert.equal(3, files.length);
+            assert.equal("./test/example8/header.css", files[0].path);
+            assert.equal("./test/example8/footer.css", files[1].path);
+            assert.equal(true, header.indexOf("._ {") > -1);
+            assert.equal(true, footer.indexOf(".a {") > -1);
+            assert.equal(true, js.indexOf('class="_"') > -1);
+            assert.equal(true, js.indexOf('class="a"') > -1);
+            done();
+        });
+
+        stream.write(createFile("./test/example8/header.css"));
+        stream.write(createFile("./test/example8/footer.css"));
+        stream.write(createFile("./test/example8/file.js"));
+        stream.end();
+    });
+
+    it("should emit a PluginError with a file and a line for parse errors", function (done) {
+        var stream = cssGsub({ prefix: "d-" });
+
+        stream.on("error", function(error) {
+            assert.equal("gulp-css-gsub", error.plugin);
+            assert.equal("./test/example23/broken.js", error.fileName);
+            assert.equal(3, error.lineNumber);
+            assert.equal(true, error.message.indexOf("can't parse ./test/example23/broken.js:3") == 0);
+            done();
+        });
+
+        stream.write(createFile("./test/example23/file.css"));
+        stream.write(createFile("./test/example23/broken.js"));
+        stream.end();
+    });
+
+    it("should end the stream after resulting files are written", function (done) {
+        var out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "css-gsub-")), "js", "file.js"),
+            stream = cssGsub({ prefix: "d-", jsIn: "./test/example23/file.js", jsOut: out });
+
+        stream.on("data", function() {});
+
+        stream.on("end", function() {
+            assert.equal("document.body.className = '_';", fs.readFileSync(out, "utf8").trim());
+            done();
+        });
+
+        stream.write(createFile("./test/example23/file.css"));
+        stream.end();
+    });
+
+    it("should emit a PluginError for warnings and write a report", function (done) {
+        var report = path.join(os.tmpdir(), "gulp-css-gsub-report.json"),
+            stream = cssGsub({ prefix: "d-", failOnWarnings: true, reportOutput: report });
+
+        stream.on("error", function(error) {
+            assert.equal("gulp-css-gsub", error.plugin);
+            assert.equal("./test/example18/file.css", error.fileName);
+            assert.equal(9, error.lineNumber);
+            assert.equal(5, JSON.parse(fs.readFileSync(report)).warnings.length);
+            done();
+        });
+
+        stream.on("data", function() {});
+
+        stream.write(createFile("./test/example18/file.css"));
+        stream.write(createFile("./test/example18/file.js"));
+        stream.end();
+    });
+});
+
+describe("in-memory API", function() {
+    it("should return resulting code, the map and warnings without file I/O", function () {
+        var readFileSync = fs.readFileSync,
+            writeFile = fs.writeFile,
+            result;
+
+        fs.readFileSync = fs.writeFile = function() {
+            throw new Error("unexpected file I/O");
+        };
+
+        try {
+            result = gsub({
+                css: [{ path: "main.css", code: ".d-profile { color: red; }\n.d-unused { color: blue; }" }],
+                js: [{ path: "app.js", code: "el.className = 'd-profile d-' + name;" }],
+                html: [{ path: "index.html", code: "<div class=\"d-profile\"></div>" }],
+                reserved: [{ path: "widget.css", code: "._ {}" }],
+                replacementsInput: { items: { "d-old": "a" } },
+                prefix: "d-",
+                replacementsOutput: "map.json"
+            });
+        } finally {
+            fs.readFileSync = readFileSync;
+            fs.writeFile = writeFile;
+        }
+
+        assert.equal("main.css", result.css[0].path);
+        assert.equal(".b {\n  color: red;\n}", result.css[0].code);
+        assert.equal("el.className = 'b d-' + name;", result.js[0].code.trim());
+        assert.equal("<div class=\"b\"></div>", result.html[0].code);
+        assert.equal("b", result.replacements.items["d-profile"]);
+        assert.deepEqual(["dynamic-class", "dropped-rule"], result.warnings.map(function(warning) {
+            return warning.type;
+        }));
+        assert.equal(true, result.stats.prunedBytes > 0);
+    });
+
+    it("should reject paths and not use the on-disk cache", function () {
+        var cacheDir = path.join(os.tmpdir(), "css-gsub-gsub-cache-" + process.pid),
+            options = {
+                css: [{ path: "main.css", code: ".d-profile { color: red; }" }],
+                js: [{ path: "app.js", code: "el.className = 'd-profile';" }],
+                prefix: "d-"
+            };
+
+        assert.throws(function() {
+            gsub(Object.assign({ reserved: ["widget.css"] }, options));
+        }, /reserved CSS files/);
+
+        assert.equal(true, gsub(Object.assign({ reserved: ["_"] }, options)).css[0].code.indexOf(".a {") == 0);
+
+        gsub(Object.assign({ cacheDir: cacheDir }, options));
+
+        assert.equal(false, fs.existsSync(cacheDir));
+    });
+});
+
+describe("bundler plugins", function() {
+    var SourceMapConsumer = require("source-map").SourceMapConsumer,
+        SourceMapGenerator = require("source-map").SourceMapGenerator;
+
+    function createInputMap(file) {
+        var map = new SourceMapGenerator({ file: file });
+
+        map.addMapping({ source: "src/" + file, original: { line: 3, column: 4 }, generated: { line: 1, column: 0 } });
+
+        return map.toJSON();
+    }
+
+    it("should replace classes in a Rollup/Vite bundle and emit the map", function () {
+        var plugin = rollupCssGsub({ prefix: "d-" }),
+            emitted = [],
+            bundle;
+
+        bundle = {
+            "main.css": { type: "asset", source: fs.readFileSync("./test/example8/header.css", "utf8") },
+            "footer.css": { type: "asset", source: fs.readFileSync("./test/example8/footer.css", "utf8") },
+            "main.js": { type: "chunk", code: fs.readFileSync("./test/example8/file.js", "utf8") },
+            "logo.svg": { type: "asset", source: "<svg class=\"d-logo\"></svg>" },
+            "font.woff2": {
+                type: "asset",
+                get source() { throw new Error("unexpected read of a binary asset"); }
+            }
+        };
+
+        plugin.generateBundle.call({
+            warn: function() {},
+            emitFile: function(file) { emitted.push(file); }
+        }, {}, bundle);
+
+        assert.equal(true, bundle["main.css"].source.indexOf("._ {") > -1);
+        assert.equal(true, bundle["footer.css"].source.indexOf(".a {") > -1);
+        assert.equal(true, bundle["main.js"].code.indexOf('class="_"') > -1);
+        assert.equal("<svg class=\"d-logo\"></svg>", bundle["logo.svg"].source);
+        assert.equal("css-gsub-map.json", emitted[0].fileName);
+        assert.equal("_", JSON.parse(emitted[0].source).items["d-header"]);
+    });
+
+    it("should chain source maps of Rollup/Vite chunks", function () {
+        var plugin = rollupCssGsub({ prefix: "d-" }),
+            bundle,
+            position;
+
+        bundle = {
+            "main.css": { type: "asset", source: fs.readFileSync("./test/example8/header.css", "utf8") },
+            "main.js": {
+                type: "chunk",
+                code: fs.readFileSync("./test/example8/file.js", "utf8"),
+                map: createInputMap("main.js")
+            },
+            "main.js.map": { type: "asset", source: "{}" }
+        };
+
+        plugin.generateBundle.call({ warn: function() {}, emitFile: function() {} }, {}, bundle);
+
+        position = new SourceMapConsumer(bundle["main.js"].map).originalPositionFor({ line: 1, column: 0 });
+
+        assert.equal(true, bundle["main.js"].code.indexOf('class="_"') > -1);
+        assert.notEqual(createInputMap("main.js").mappings, bundle["main.js"].map.mappings);
+        assert.equal("src/main.js", position.source);
+        assert.equal(3, position.line);
+        assert.deepEqual(bundle["main.js"].map, JSON.parse(bundle["main.js.map"].source));
+    });
+
+    it("should replace classes in webpack assets and emit the map", function () {
+        var assets = {},
+            compilation,
+            webpack;
+
+        function RawSource(code) {
+            this.source = function() { return code; };
+            this.map = function() { return null; };
+        }
+
+        webpack = {
+            Compilation: { PROCESS_ASSETS_STAGE_OPTIMIZE: 100 },
+            sources: { RawSource: RawSource },
+            WebpackError: Error
+        };
+
+        compilation = {
+            warnings: [],
+            hooks: { processAssets: { tap: function(options, fn) { fn(); } } },
+            getAssets: function() {
+                return Object.keys(assets).map(function(name) {
+                    return { name: name, source: assets[name] };
+                });
+            },
+            updateAsset: function(name, source) { assets[name] = source; },
+            emitAsset: function(name, source) { assets[name] = source; }
+        };
+
+        assets["main.css"] = new RawSource(fs.readFileSync("./test/example1/file.css", "utf8"));
+        assets["1.chunk.js"] = new RawSource(fs.readFileSync("./test/example1/file.js", "utf8"));
+        assets["logo.png"] = {
+            source: function() { throw new Error("unexpected read of a binary asset"); },
+            map: function() { throw new Error("unexpected source map of a binary asset"); }
+        };
+
+        new CssGsubPlugin({ prefix: "d-" }).apply({
+            webpack: webpack,
+            hooks: { thisCompilation: { tap: function(name, fn) { fn(compilation); } } }
+        });
+
+        assert.equal(true, assets["main.css"].source().indexOf("._ {") > -1);
+        assert.equal(true, assets["1.chunk.js"].source().indexOf("_") > -1);
+        assert.equal(-1, assets["1.chunk.js"].source().indexOf("d-example"));
+        assert.equal("_", JSON.parse(assets["css-gsub-map.json"].source()).items["d-example"]);
+    });
+
+    it("should chain source maps of webpack assets", function () {
+        var assets = {},
+            compilation,
+            webpack,
+            position;
+
+        function SourceMapSource(code, name, map) {
+            this.source = function() { return code; };
+            this.map = function() { return map; };
+        }
+
+        webpack = {
+            Compilation: { PROCESS_ASSETS_STAGE_OPTIMIZE: 100 },
+            sources: { RawSource: SourceMapSource, SourceMapSource: SourceMapSource },
+            WebpackError: Error
+        };
+
+        compilation = {
+            warnings: [],
+            hooks: { processAssets: { tap: function(options, fn) { fn(); } } },
+            getAssets: function() {
+                return Object.keys(assets).map(function(name) {
+                    return { name: name, source: assets[name] };
+                });
+            },
+            updateAsset: function(name, source) { assets[name] = source; },
+            emitAsset: function(name, source) { assets[name] = source; }
+        };
+
+        assets["main.css"] = new SourceMapSource(fs.readFileSync("./test/example1/file.css", "utf8"), "main.css", null);
+        assets["main.js"] = new SourceMapSource(fs.readFileSync("./test/example8/file.js", "utf8"), "main.js",
+            createInputMap("main.js"));
+
+        new CssGsubPlugin({ prefix: "d-" }).apply({
+            webpack: webpack,
+            hooks: { thisCompilation: { tap: function(name, fn) { fn(compilation); } } }
+        });
+
+        position = new SourceMapConsumer(assets["main.js"].map()).originalPositionFor({ line: 1, column: 0 });
+
+        assert.equal(-1, assets["main.js"].source().indexOf("d-header"));
+        assert.equal("src/main.js", position.source);
+        assert.equal(3, position.line);
+        assert.equal(null, assets["main.css"].map());
+    });
+});
+
+describe("command line", function() {
+    function createIo() {
+        var io = { out: "", err: "" };
+
+        io.stdout = { write: function(text) { io.out += text; } };
+        io.stderr = { write: function(text) { io.err += text; } };
+
+        return io;
+    }
+
+    it("should print replacements and savings without writing files in dry-run mode", function () {
+        var io = createIo(),
+            code = cli(["--css", "./test/example1/file.css", "--js", "./test/example1/file.js", "--prefix", "d-",
+                "--out-dir", path.join(os.tmpdir(), "css-gsub-dry-run"), "--dry-run"], io);
+
+        assert.equal(0, code);
+        assert.equal(true, io.out.indexOf("d-example -> _\n") == 0);
+        assert.equal(true, /2 files, \d+ -> \d+ bytes, saved \d+ bytes/.test(io.out));
+        assert.equal(false, fs.existsSync(path.join(os.tmpdir(), "css-gsub-dry-run")));
+    });
+
+    it("should write resulting files and a map", function () {
+        var io = createIo(),
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "css-gsub-")),
+            code = cli(["--css", "./test/example1/file.css", "--js=./test/example1/file.js", "--prefix", "d-",
+                "--out-dir", dir, "--map", path.join(dir, "map.json")], io);
+
+        assert.equal(0, code);
+        assert.equal(true, fs.readFileSync(path.join(dir, "file.css"), "utf8").indexOf("._ {") > -1);
+        assert.equal(true, fs.readFileSync(path.join(dir, "file.js"), "utf8").indexOf("'_'") > -1);
+        assert.equal("_", JSON.parse(fs.readFileSync(path.join(dir, "map.json"))).items["d-example"]);
+    });
+
+    it("should exit with non-zero codes on failures", function () {
+        assert.equal(2, cli(["--unknown"], createIo()));
+        assert.equal(2, cli(["--js", "./test/example1/file.js"], createIo()));
+        assert.equal(1, cli(["--css", "./test/example1/missing.css"], createIo()));
+    });
 });
 
 describe("replace functions", function() {